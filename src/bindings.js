@@ -0,0 +1,61 @@
+import { some } from "lodash-es";
+
+// Getters and actions of the modules registered by the plugin, bound to a store so that components don't need to spell out their paths.
+// Shared by the Vue 3 composables and the Vue 2 mixins.
+// `loading` and `error` take the actions to check, as `lastError` is kept after later actions succeed.
+
+export const documentBindings = (
+  store,
+  document,
+  { namespace = "dash" } = {}
+) => {
+  const path = `${namespace}/${document}`;
+  const getter = (name) => store.getters[`${path}/${name}`];
+
+  return {
+    all: () => getter("all"),
+    query: (query) => getter("query")(query),
+    one: (id) => getter("one")(id),
+    lastFetched: () => getter("lastFetched"),
+    hasMore: () => getter("hasMore"),
+    loading: (...actions) =>
+      some(actions, (action) => getter("status")(action) === "loading"),
+    error: (...actions) =>
+      some(actions, (action) => getter("status")(action) === "error")
+        ? getter("lastError")
+        : null,
+
+    load: () => store.dispatch(`${path}/all`),
+    loadMore: () => store.dispatch(`${path}/loadMore`),
+    fetch: (id) => store.dispatch(`${path}/one`, id),
+    create: (content) => store.dispatch(`${path}/create`, content),
+    replace: (content) => store.dispatch(`${path}/replace`, content),
+    delete: (id) => store.dispatch(`${path}/delete`, { $id: id }),
+    multiple: (items) => store.dispatch(`${path}/multiple`, items),
+  };
+};
+
+export const identityBindings = (store, { namespace = "dash" } = {}) => {
+  const getter = (name) => store.getters[`${namespace}/${name}`];
+
+  return {
+    identity: () => getter("identity"),
+    identityId: () => getter("options").identityId,
+    identities: () => getter("identities"),
+    loading: () =>
+      getter("identitySyncing") ||
+      getter("status")("identityInit") === "loading",
+    error: () =>
+      some(
+        ["identityInit", "register", "switchIdentity", "topUp"],
+        (action) => getter("status")(action) === "error"
+      )
+        ? getter("lastError")
+        : null,
+
+    load: () => store.dispatch(`${namespace}/identityInit`),
+    register: () => store.dispatch(`${namespace}/register`),
+    switchIdentity: (id) => store.dispatch(`${namespace}/switchIdentity`, id),
+    topUp: (amount) => store.dispatch(`${namespace}/topUp`, { amount }),
+  };
+};
@@ -0,0 +1,98 @@
+import { computed, getCurrentInstance, onMounted, unref, watch } from "vue";
+import { noop, values } from "lodash-es";
+import { documentBindings, identityBindings } from "./bindings.js";
+
+// Composition API helpers for components, for Vue 3 or Vue 2.7.
+// They aren't exported from the main entry so that the plugin itself works with any version of Vue,
+// import them from "vuex-dash-dpp/src/composables.js".
+// They use the store of the current component, unless another is passed in as `store`,
+// and the "dash" namespace, unless the plugin was installed under another `namespace`.
+
+const currentStore = (store) => {
+  return store || getCurrentInstance()?.proxy.$store;
+};
+
+// Documents of one type, optionally filtered by a `query` for the `query` getter, which can be a ref.
+// Loads every document of the type on mount unless they have been loaded already, or `load` is false.
+// `const { documents, loading, error, create } = useDashDocuments("note", { where: [["$ownerId", "==", id]] });`
+export const useDashDocuments = (document, query = null, options = {}) => {
+  const { load = true } = options;
+  const bound = documentBindings(
+    currentStore(options.store),
+    document,
+    options
+  );
+
+  onMounted(() => {
+    if (load && !bound.lastFetched() && !bound.loading("all")) {
+      bound.load().catch(noop);
+    }
+  });
+
+  return {
+    documents: computed(() =>
+      unref(query) ? bound.query(unref(query)) : values(bound.all())
+    ),
+    loading: computed(() => bound.loading("all", "loadPage")),
+    error: computed(() =>
+      bound.error("all", "loadPage", "create", "replace", "delete", "multiple")
+    ),
+    hasMore: computed(() => bound.hasMore()),
+    load: bound.load,
+    loadMore: bound.loadMore,
+    create: bound.create,
+    replace: bound.replace,
+    delete: bound.delete,
+    multiple: bound.multiple,
+  };
+};
+
+// One document, by an `id` that can be a ref.
+// Fetches it on mount, and whenever the ID changes, unless it is already in state.
+export const useDashDocument = (document, id, options = {}) => {
+  const bound = documentBindings(
+    currentStore(options.store),
+    document,
+    options
+  );
+
+  const fetch = (current) => {
+    if (current && !bound.one(current)) {
+      bound.fetch(current).catch(noop);
+    }
+  };
+
+  onMounted(() => fetch(unref(id)));
+  watch(() => unref(id), fetch);
+
+  return {
+    document: computed(() => bound.one(unref(id)) ?? null),
+    loading: computed(() => bound.loading("one", "replace", "delete")),
+    error: computed(() => bound.error("one", "replace", "delete")),
+    replace: (content) => bound.replace({ ...content, $id: unref(id) }),
+    delete: () => bound.delete(unref(id)),
+  };
+};
+
+// The identity that signs changes, and actions for managing identities.
+// Loads the identity on mount if it hasn't been already.
+export const useDashIdentity = (options = {}) => {
+  const bound = identityBindings(currentStore(options.store), options);
+
+  onMounted(() => {
+    if (bound.identityId() && !bound.identity() && !bound.loading()) {
+      bound.load().catch(noop);
+    }
+  });
+
+  return {
+    identity: computed(() => bound.identity()),
+    identityId: computed(() => bound.identityId()),
+    identities: computed(() => bound.identities()),
+    loading: computed(() => bound.loading()),
+    error: computed(() => bound.error()),
+    register: bound.register,
+    switchIdentity: bound.switchIdentity,
+    topUp: bound.topUp,
+  };
+};
@@ -0,0 +1,18 @@
+// Error thrown by plugin actions.
+// Keeps the name of the action that failed along with the code and message of the original error.
+// It isn't exported from the main entry, which only exports the plugin so that CommonJS builds can be required as it,
+// import it from "vuex-dash-dpp/src/errors.js", e.g. to check `e instanceof DashDppError`.
+export class DashDppError extends Error {
+  constructor(action, error) {
+    super(error?.message || String(error));
+
+    this.name = "DashDppError";
+    this.action = action;
+    this.code = error?.code ?? null;
+    this.errors = error?.errors ?? null;
+    this.conflict = error?.conflict ?? null;
+    // Which part of a batch failed, e.g. `{ document, index }` for a transaction item
+    this.failed = error?.failed ?? null;
+    this.cause = error;
+  }
+}
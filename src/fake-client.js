@@ -0,0 +1,382 @@
+import {
+  each,
+  filter,
+  map,
+  omitBy,
+  pickBy,
+  startsWith,
+  uniqueId,
+} from "lodash-es";
+import { runQuery } from "./query.js";
+
+const isSystemField = (value, key) => startsWith(key, "$");
+
+// Stand-in for the documents returned by the Dash SDK, which keep system fields such as `$id` alongside the document data.
+const fakeDocument = (fields) => {
+  let current = fields;
+
+  return {
+    getId: () => current.$id,
+    getType: () => current.$type,
+    getOwnerId: () => current.$ownerId,
+    getRevision: () => current.$revision,
+    setRevision: (revision) => {
+      current = { ...current, $revision: revision };
+    },
+    getData: () => omitBy(current, isSystemField),
+    // Replaces the document data, system fields can't be changed this way
+    setData: (data) => {
+      current = {
+        ...pickBy(current, isSystemField),
+        ...omitBy(data, isSystemField),
+      };
+    },
+    toJSON: () => ({ ...current }),
+    // The SDK serialises documents with CBOR, JSON is close enough for measuring payloads
+    toBuffer: () => new TextEncoder().encode(JSON.stringify(current)),
+  };
+};
+
+// Stand-in for data contracts returned by the Dash SDK
+const fakeContract = (id, { documents = {} } = {}) => {
+  let current = documents;
+
+  return {
+    getId: () => id,
+    getDocuments: () => current,
+    getDocumentSchema: (type) => current[type],
+    setDocumentSchema: (type, schema) => {
+      current = { ...current, [type]: schema };
+    },
+    toJSON: () => ({ $id: id, documents: current }),
+  };
+};
+
+// Stand-in for the DPNS domain documents returned by the Dash SDK
+const fakeName = (name, identityId) => {
+  const [label, ...domain] = name.split(".");
+
+  return fakeDocument({
+    $id: `${name}Domain`,
+    $type: "domain",
+    $ownerId: identityId,
+    label,
+    normalizedLabel: label.toLowerCase(),
+    normalizedParentDomainName: domain.join("."),
+    records: { dashUniqueIdentityId: identityId },
+  });
+};
+
+// Stand-in for identities returned by the Dash SDK
+const fakeIdentity = (id, { balance = 0 } = {}) => {
+  return {
+    getId: () => id,
+    getBalance: () => balance,
+    toJSON: () => ({ id, balance }),
+  };
+};
+
+// In-memory stand-in for `Dash.Client`, for running stores in tests or offline without a network.
+// It covers the parts of the client that the plugin uses. Import it from "vuex-dash-dpp/src/fake-client.js",
+// then create one and return it from the `clientFactory` option:
+// `const client = createFakeClient({ documents: { "Contract.note": [{ $id: "1", text: "Hello" }] } });`
+// `createDashDpp({ clientFactory: () => client, ... })`
+//
+// `documents` are existing documents keyed by type locator, `identities` are existing identity balances keyed by ID,
+// `contracts` are data contracts keyed by ID, each with the JSON schema of its `documents`,
+// and `wallet` sets the `address`, `balance` and `transactions` history of the wallet account.
+// Set `offline` on the returned client to make every network call fail.
+export default ({
+  documents = {},
+  identities = {},
+  contracts = {},
+  wallet = {},
+} = {}) => {
+  const { address = "yFakeAddress" } = wallet;
+
+  const stored = {};
+  // Type locators of documents that were created but not broadcast yet
+  const locators = new WeakMap();
+  const identityIds = map(identities, (identity, id) => id);
+  const listeners = {};
+
+  let registered = { ...identities };
+  let published = { ...contracts };
+  let balance = wallet.balance ?? 0;
+  let history = [...(wallet.transactions ?? [])];
+  // Identity ID of each registered DPNS name, keyed by full name
+  let names = {};
+
+  each(documents, (items, type) => {
+    stored[type] = map(items, (item) => ({
+      $type: type.split(".").pop(),
+      $revision: 1,
+      ...item,
+    }));
+  });
+
+  const client = {
+    offline: false,
+    disconnected: false,
+  };
+
+  // Every call that would go over the network fails while the client is offline
+  const online = () => {
+    if (client.offline) {
+      throw new Error("Fake client is offline");
+    }
+  };
+
+  const account = {
+    getUnusedAddress: () => ({ address }),
+    getConfirmedBalance: () => balance,
+    getUnconfirmedBalance: () => 0,
+    getTransactionHistory: async () => [...history],
+    createTransaction: ({ recipient, satoshis }) => {
+      if (satoshis > balance) {
+        throw new Error("Not enough balance to send the payment");
+      }
+
+      return { id: uniqueId("fakeTransaction"), recipient, satoshis };
+    },
+    // Sent payments are confirmed right away
+    broadcastTransaction: async ({ id, satoshis }) => {
+      online();
+
+      balance -= satoshis;
+      history = [
+        ...history,
+        {
+          txId: id,
+          type: "sent",
+          time: new Date(),
+          satoshisBalanceImpact: -satoshis,
+          feeImpact: 0,
+          confirmations: 1,
+        },
+      ];
+
+      account.emit("TRANSACTION", { txid: id });
+
+      return id;
+    },
+    identities: {
+      getIdentityIds: () => [...identityIds],
+    },
+    on: (event, listener) => {
+      listeners[event] = [...(listeners[event] || []), listener];
+    },
+    removeListener: (event, listener) => {
+      listeners[event] = filter(listeners[event], (item) => item !== listener);
+    },
+    // Not part of the SDK, lets tests trigger wallet events such as "TRANSACTION"
+    emit: (event, ...args) => {
+      each(listeners[event], (listener) => listener(...args));
+    },
+  };
+
+  // Not part of the SDK, lets tests check how many listeners are left on the wallet account
+  client.listenerCount = (event) => (listeners[event] || []).length;
+
+  client.disconnect = async () => {
+    client.disconnected = true;
+  };
+
+  client.getDAPIClient = () => ({
+    core: {
+      getBestBlockHeight: async () => {
+        online();
+
+        return 415000;
+      },
+    },
+  });
+
+  client.getWalletAccount = async () => {
+    online();
+
+    return account;
+  };
+
+  client.platform = {
+    contracts: {
+      get: async (id) => {
+        online();
+
+        return published[id] ? fakeContract(id, published[id]) : null;
+      },
+
+      // Creates a contract locally, it is only stored once it is broadcast
+      create: async (documents, identity) => {
+        online();
+
+        return fakeContract(uniqueId("fakeContract"), { documents });
+      },
+
+      broadcast: async (contract, identity) => {
+        online();
+
+        if (!identity) {
+          throw new Error("An identity is required to publish a contract");
+        }
+
+        published = { ...published, [contract.getId()]: contract.toJSON() };
+
+        return contract;
+      },
+
+      update: async (contract, identity) => {
+        online();
+
+        if (!identity) {
+          throw new Error("An identity is required to update a contract");
+        }
+
+        if (!published[contract.getId()]) {
+          throw new Error(`No contract with ID ${contract.getId()}`);
+        }
+
+        published = { ...published, [contract.getId()]: contract.toJSON() };
+
+        return contract;
+      },
+    },
+
+    identities: {
+      get: async (id) => {
+        online();
+
+        return registered[id] ? fakeIdentity(id, registered[id]) : null;
+      },
+
+      register: async () => {
+        online();
+
+        const id = uniqueId("fakeIdentity");
+
+        registered = { ...registered, [id]: { balance: 0 } };
+        identityIds.push(id);
+
+        return fakeIdentity(id);
+      },
+
+      topUp: async (id, amount) => {
+        online();
+
+        if (!registered[id]) {
+          throw new Error(`No identity with ID ${id}`);
+        }
+
+        registered = {
+          ...registered,
+          [id]: { balance: registered[id].balance + amount },
+        };
+
+        return true;
+      },
+    },
+
+    names: {
+      register: async (name, records, identity) => {
+        online();
+
+        if (!identity) {
+          throw new Error("An identity is required to register a name");
+        }
+
+        if (names[name]) {
+          throw new Error(`The name ${name} is already registered`);
+        }
+
+        names = { ...names, [name]: records.dashUniqueIdentityId };
+
+        return fakeName(name, names[name]);
+      },
+
+      resolve: async (name) => {
+        online();
+
+        return names[name] ? fakeName(name, names[name]) : null;
+      },
+
+      resolveByRecord: async (record, value) => {
+        online();
+
+        return map(
+          pickBy(names, (identityId) => identityId === value),
+          (identityId, name) => fakeName(name, identityId)
+        );
+      },
+    },
+
+    documents: {
+      // Supports `where`, `orderBy`, `startAt`, `startAfter` and `limit`.
+      // As with the SDK version this stands in for, `startAt` and `startAfter` are offsets,
+      // but they can also be document IDs as in newer versions of Platform.
+      get: async (type, query = {}) => {
+        online();
+
+        return map(runQuery(stored[type], { limit: 100, ...query }), (item) =>
+          fakeDocument(item)
+        );
+      },
+
+      // Creates a document locally, it is only stored once it is broadcast
+      create: async (type, identity, data) => {
+        online();
+
+        const document = fakeDocument({
+          $id: uniqueId("fakeDocument"),
+          $type: type.split(".").pop(),
+          $ownerId: identity?.getId(),
+          $revision: 1,
+          ...omitBy(data, isSystemField),
+        });
+
+        locators.set(document, type);
+
+        return document;
+      },
+
+      broadcast: async (payload, identity) => {
+        online();
+
+        if (!identity) {
+          throw new Error("An identity is required to broadcast documents");
+        }
+
+        each(payload.create, (document) => {
+          const fields = document.toJSON();
+          const type = locators.get(document) || `Contract.${fields.$type}`;
+
+          stored[type] = [...(stored[type] || []), fields];
+        });
+
+        // Like the SDK, bump the revision of replaced documents
+        each(payload.replace, (document) => {
+          document.setRevision(document.getRevision() + 1);
+
+          const fields = document.toJSON();
+
+          each(stored, (items, type) => {
+            stored[type] = map(items, (item) =>
+              item.$id === fields.$id ? fields : item
+            );
+          });
+        });
+
+        each(payload.delete, (document) => {
+          const id = document.getId();
+
+          each(stored, (items, type) => {
+            stored[type] = filter(items, (item) => item.$id !== id);
+          });
+        });
+
+        return payload;
+      },
+    },
+  };
+
+  return client;
+};
@@ -0,0 +1,47 @@
+import { mkdir, readdir, readFile, rm, writeFile } from "fs/promises";
+import { join } from "path";
+
+// Storage for Node that keeps each item as a JSON file in `directory`, with the same API as localforage.
+// It isn't exported from the main entry so that browser bundles don't pull in Node's `fs`, import it from "vuex-dash-dpp/src/file-storage.js".
+export default (directory) => {
+  const file = (key) => join(directory, `${encodeURIComponent(key)}.json`);
+
+  return {
+    getItem: async (key) => {
+      try {
+        return JSON.parse(await readFile(file(key), "utf8"));
+      } catch (e) {
+        if (e.code === "ENOENT") {
+          return null;
+        }
+
+        throw e;
+      }
+    },
+    setItem: async (key, value) => {
+      await mkdir(directory, { recursive: true });
+      await writeFile(file(key), JSON.stringify(value));
+
+      return value;
+    },
+    removeItem: async (key) => {
+      await rm(file(key), { force: true });
+    },
+    clear: async () => {
+      await rm(directory, { recursive: true, force: true });
+    },
+    keys: async () => {
+      try {
+        const files = await readdir(directory);
+
+        return files.map((name) => decodeURIComponent(name.slice(0, -5)));
+      } catch (e) {
+        if (e.code === "ENOENT") {
+          return [];
+        }
+
+        throw e;
+      }
+    },
+  };
+};
@@ -0,0 +1,119 @@
+import { noop, values } from "lodash-es";
+import { documentBindings, identityBindings } from "./bindings.js";
+
+// Options API helpers for Vue 2 components, the counterparts of the composables.
+// Each mixin adds one computed property, named with `as`, holding the same fields and functions as the matching composable:
+// `mixins: [dashDocuments("note", { as: "notes" })]` gives `this.notes.documents`, `this.notes.loading`, `this.notes.create()` and so on.
+// `namespace` is the namespace the plugin was installed under, "dash" by default.
+// Import them from "vuex-dash-dpp/src/mixins.js", they aren't exported from the main entry.
+
+// Documents of one type. `query` is a function of the component, which it also receives as its argument, returning a query for the `query` getter, if any.
+// Loads every document of the type on mount unless they have been loaded already, or `load` is false.
+export const dashDocuments = (document, options = {}) => {
+  const { as = document, query = null, load = true } = options;
+
+  return {
+    computed: {
+      [as]() {
+        const bound = documentBindings(this.$store, document, options);
+        const current = query?.call(this, this);
+
+        return {
+          documents: current ? bound.query(current) : values(bound.all()),
+          loading: bound.loading("all", "loadPage"),
+          error: bound.error(
+            "all",
+            "loadPage",
+            "create",
+            "replace",
+            "delete",
+            "multiple"
+          ),
+          hasMore: bound.hasMore(),
+          load: bound.load,
+          loadMore: bound.loadMore,
+          create: bound.create,
+          replace: bound.replace,
+          delete: bound.delete,
+          multiple: bound.multiple,
+        };
+      },
+    },
+    mounted() {
+      const bound = documentBindings(this.$store, document, options);
+
+      if (load && !bound.lastFetched() && !bound.loading("all")) {
+        bound.load().catch(noop);
+      }
+    },
+  };
+};
+
+// One document. `id` is a function of the component, like `query` above, returning the ID, e.g. from a prop.
+// Fetches it on mount, and whenever the ID changes, unless it is already in state.
+export const dashDocument = (document, options = {}) => {
+  const { as = document, id } = options;
+  const fetch = (store, current) => {
+    const bound = documentBindings(store, document, options);
+
+    if (current && !bound.one(current)) {
+      bound.fetch(current).catch(noop);
+    }
+  };
+
+  return {
+    computed: {
+      [as]() {
+        const bound = documentBindings(this.$store, document, options);
+        const current = id.call(this, this);
+
+        return {
+          document: bound.one(current) ?? null,
+          loading: bound.loading("one", "replace", "delete"),
+          error: bound.error("one", "replace", "delete"),
+          replace: (content) => bound.replace({ ...content, $id: current }),
+          delete: () => bound.delete(current),
+        };
+      },
+    },
+    mounted() {
+      fetch(this.$store, id.call(this, this));
+      this.$watch(
+        () => id.call(this, this),
+        (current) => fetch(this.$store, current)
+      );
+    },
+  };
+};
+
+// The identity that signs changes, and actions for managing identities.
+// Loads the identity on mount if it hasn't been already.
+export const dashIdentity = (options = {}) => {
+  const { as = "identity" } = options;
+
+  return {
+    computed: {
+      [as]() {
+        const bound = identityBindings(this.$store, options);
+
+        return {
+          identity: bound.identity(),
+          identityId: bound.identityId(),
+          identities: bound.identities(),
+          loading: bound.loading(),
+          error: bound.error(),
+          register: bound.register,
+          switchIdentity: bound.switchIdentity,
+          topUp: bound.topUp,
+        };
+      },
+    },
+    mounted() {
+      const bound = identityBindings(this.$store, options);
+
+      if (bound.identityId() && !bound.identity() && !bound.loading()) {
+        bound.load().catch(noop);
+      }
+    },
+  };
+};
@@ -0,0 +1,236 @@
+import { defineStore } from "pinia";
+import { castArray, each, isArray, mapValues, pull, reduce } from "lodash-es";
+import { computed, effectScope, reactive, toRefs, watch } from "vue";
+import createDashDpp from "./vuex-dash-dpp.js";
+
+// Pinia counterpart of the Vuex plugin, for apps that don't use Vuex.
+// The plugin only relies on the part of the Vuex store API that registers its modules and talks to them,
+// so the same modules run here on a small store built on Vue's reactivity, and each one is also made available as a Pinia store.
+// It isn't exported from the main entry so that Vuex apps don't need Pinia, import it from "vuex-dash-dpp/src/pinia.js".
+
+// Split a namespaced type such as "dash/social/post/all" into the path of its module and its name
+const splitType = (type) => {
+  const index = type.lastIndexOf("/");
+
+  return [type.slice(0, index), type.slice(index + 1)];
+};
+
+// The part of the Vuex store API that the plugin uses, for namespaced modules only.
+// Each module keeps its reactive state, computed getters and definition, keyed by its path joined with "/", e.g. "dash/note".
+const createHost = (pinia) => {
+  const modules = new Map();
+  const subscribers = [];
+  // Every watcher and getter lives in this scope, or one within it for each module, so they stop when their module is removed
+  const scope = effectScope(true);
+
+  const stateOf = (path) => {
+    // Child modules' state is nested in their parent's, as it is in Vuex
+    return new Proxy(modules.get(path).state, {
+      get: (state, key) => {
+        return modules.has(`${path}/${String(key)}`)
+          ? stateOf(`${path}/${String(key)}`)
+          : state[key];
+      },
+    });
+  };
+
+  const state = new Proxy(
+    {},
+    { get: (target, key) => (modules.has(key) ? stateOf(key) : undefined) }
+  );
+
+  // Namespaced getters of every module, e.g. `getters["dash/note/all"]`
+  const getters = new Proxy(
+    {},
+    {
+      get: (target, type) => {
+        if (typeof type !== "string") {
+          return undefined;
+        }
+
+        const [path, name] = splitType(type);
+
+        return modules.get(path)?.getters[name]?.value;
+      },
+    }
+  );
+
+  // Getters local to a module. As in Vuex, those of its child modules are included by their relative path, e.g. "note/validate".
+  const gettersOf = (path) => {
+    return new Proxy(
+      {},
+      {
+        get: (target, name) => {
+          return typeof name === "string"
+            ? getters[`${path}/${name}`]
+            : undefined;
+        },
+      }
+    );
+  };
+
+  const commit = (type, payload) => {
+    const [path, name] = splitType(type);
+    const module = modules.get(path);
+    const mutation = module?.definition.mutations?.[name];
+
+    if (!mutation) {
+      console.error(`[vuex-dash-dpp] unknown mutation type: ${type}`);
+      return;
+    }
+
+    mutation(module.state, payload);
+
+    each([...subscribers], (subscriber) =>
+      subscriber({ type, payload }, state)
+    );
+  };
+
+  const dispatch = (type, payload) => {
+    const [path, name] = splitType(type);
+    const action = modules.get(path)?.definition.actions?.[name];
+
+    if (!action) {
+      console.error(`[vuex-dash-dpp] unknown action type: ${type}`);
+      return;
+    }
+
+    // Types are local to the module unless `{ root: true }` is passed, as with namespaced Vuex modules
+    const context = {
+      state: stateOf(path),
+      getters: gettersOf(path),
+      rootState: state,
+      rootGetters: getters,
+      commit: (type, payload, options) => {
+        return commit(options?.root ? type : `${path}/${type}`, payload);
+      },
+      dispatch: (type, payload, options) => {
+        return dispatch(options?.root ? type : `${path}/${type}`, payload);
+      },
+    };
+
+    return Promise.resolve(action(context, payload));
+  };
+
+  const registerModule = (path, definition) => {
+    const id = castArray(path).join("/");
+    const module = {
+      definition,
+      scope: scope.run(() => effectScope()),
+    };
+
+    module.scope.run(() => {
+      module.state = reactive(
+        typeof definition.state === "function"
+          ? definition.state()
+          : definition.state
+      );
+      module.getters = mapValues(definition.getters, (getter) => {
+        return computed(() =>
+          getter(module.state, gettersOf(id), state, getters)
+        );
+      });
+    });
+
+    // Vuex lets state, getters and actions share names, a Pinia store can't, so getters win over state and actions over both.
+    // Getters are what the plugin reads from too, e.g. `identity` unwraps the identity that state keeps in a function.
+    // The getters that lose out, such as `all` and `one` of document modules, are still in the host's `getters`.
+    module.useStore = defineStore(id, () => ({
+      ...toRefs(module.state),
+      ...module.getters,
+      ...mapValues(definition.actions, (action, name) => {
+        return (payload) => dispatch(`${id}/${name}`, payload);
+      }),
+    }));
+
+    modules.set(id, module);
+  };
+
+  const unregisterModule = (path) => {
+    const id = castArray(path).join("/");
+    const module = modules.get(id);
+
+    // Only stores that have been used have state in Pinia
+    if (pinia.state.value[id]) {
+      module.useStore(pinia).$dispose();
+      delete pinia.state.value[id];
+    }
+
+    module.scope.stop();
+    modules.delete(id);
+  };
+
+  return {
+    state,
+    getters,
+    commit,
+    dispatch,
+    registerModule,
+    unregisterModule,
+    hasModule: (path) => modules.has(castArray(path).join("/")),
+    watch: (getter, callback, options) => {
+      return scope.run(() => {
+        return watch(() => getter(state, getters), callback, options);
+      });
+    },
+    subscribe: (subscriber) => {
+      subscribers.push(subscriber);
+
+      return () => pull(subscribers, subscriber);
+    },
+    // The Pinia store of a registered module, or null if there isn't one at that path
+    useStore: (path) => modules.get(path)?.useStore(pinia) ?? null,
+  };
+};
+
+// Install the plugin with `config`, the same options as the Vuex plugin, and return its Pinia stores:
+// `const dash = createDashPinia(pinia, { contractId, documents: ["note"] })`
+// `dash.useDash()` is the root store, with the account, identity and contract, and actions such as `identityInit` and `transaction`.
+// `dash.useDocuments("note")` is the store of a document type, or of an aliased contract's type with e.g. "social/post",
+// with state such as `documents` and `lastFetched`, and actions such as `all`, `one`, `multiple` and `broadcast`.
+// `dash.store` has the Vuex style `getters`, `dispatch` and `commit`, e.g. for `dash.store.commit("dash/updateOptions", { ... })`,
+// and can be passed as `store` to the composables.
+// `subscribeToFrom` takes the fields to sync as with Vuex, but instead of mutations, the Pinia store to sync them from:
+// `subscribeToFrom: [["identityId"], useSessionStore]`. The options are updated whenever any of those fields change.
+export const createDashPinia = (pinia, config = {}) => {
+  const { namespace = "dash", subscribeToFrom = [[], null] } = config;
+  const [subscriptions, useSource] = subscribeToFrom;
+  const host = createHost(pinia);
+
+  createDashDpp({ ...config, subscribeToFrom: [[], []] })(host);
+
+  if (useSource) {
+    const source = useSource(pinia);
+
+    host.watch(
+      () => {
+        return reduce(
+          subscriptions,
+          (result, value, key) => {
+            // Fields listed in an array sync to the option of the same name, an object can map option names to differently named fields
+            result[isArray(subscriptions) ? value : key] = source[value];
+            return result;
+          },
+          {}
+        );
+      },
+      (updatedOptions) => {
+        host.commit(`${namespace}/updateOptions`, updatedOptions);
+      }
+    );
+  }
+
+  return {
+    store: host,
+    useDash: () => host.useStore(namespace),
+    useDocuments: (document) => {
+      const store = host.useStore(`${namespace}/${document}`);
+
+      if (!store) {
+        throw new Error(`Unknown document type "${document}"`);
+      }
+
+      return store;
+    },
+  };
+};
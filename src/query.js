@@ -0,0 +1,98 @@
+import {
+  every,
+  filter,
+  findIndex,
+  flatMap,
+  find,
+  get,
+  groupBy,
+  includes,
+  isNumber,
+  map,
+  orderBy,
+  startsWith,
+  uniq,
+  values,
+} from "lodash-es";
+
+// Comparisons supported in the `where` clause of document queries
+export const operators = {
+  "==": (value, expected) => value === expected,
+  "<": (value, expected) => value < expected,
+  "<=": (value, expected) => value <= expected,
+  ">": (value, expected) => value > expected,
+  ">=": (value, expected) => value >= expected,
+  in: (value, expected) => includes(expected, value),
+  startsWith: (value, expected) => startsWith(value, expected),
+};
+
+// Secondary indexes built for each set of documents, keyed by field.
+// Mutations always replace the documents object, so indexes are dropped along with the documents they were built for.
+const indexes = new WeakMap();
+
+const indexOf = (documents, field) => {
+  const built = indexes.get(documents) || {};
+
+  if (!built[field]) {
+    built[field] = groupBy(values(documents), (item) => get(item, field));
+    indexes.set(documents, built);
+  }
+
+  return built[field];
+};
+
+// Narrow the documents down with an index, if the query matches an indexed field exactly
+const candidates = (documents, where, indexed) => {
+  const clause = find(
+    where,
+    ([field, operator]) =>
+      includes(indexed, field) && includes(["==", "in"], operator)
+  );
+
+  if (!clause) {
+    return values(documents);
+  }
+
+  const [field, operator, expected] = clause;
+  const index = indexOf(documents, field);
+
+  return operator === "=="
+    ? index[expected] || []
+    : uniq(flatMap(expected, (value) => index[value] || []));
+};
+
+// Run a query with the same syntax as `platform.documents.get` against plain documents, keyed by `$id` or in an array.
+// `where`, `orderBy`, `startAt`, `startAfter` and `limit` are supported. `startAt` and `startAfter` can be offsets or document IDs.
+// Nothing is returned for the ID of a document that isn't in the results, such as one that has since been deleted.
+// Clauses on `indexed` fields with the "==" or "in" operators use an index rather than checking every document.
+export const runQuery = (documents, query = {}, indexed = []) => {
+  const {
+    where = [],
+    orderBy: order = [],
+    startAt = 0,
+    startAfter = null,
+    limit = Infinity,
+  } = query;
+
+  const matching = filter(candidates(documents, where, indexed), (item) =>
+    every(where, ([field, operator, expected]) =>
+      operators[operator](get(item, field), expected)
+    )
+  );
+  const sorted = orderBy(
+    matching,
+    map(order, ([field]) => field),
+    map(order, ([, direction]) => direction)
+  );
+  const position = (cursor) =>
+    isNumber(cursor) ? cursor : findIndex(sorted, ["$id", cursor]);
+  const cursor = position(startAfter !== null ? startAfter : startAt);
+
+  if (cursor < 0) {
+    return [];
+  }
+
+  const offset = startAfter !== null ? cursor + 1 : cursor;
+
+  return sorted.slice(offset, offset + limit);
+};
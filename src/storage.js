@@ -0,0 +1,26 @@
+import { cloneDeep } from "lodash-es";
+
+// Storage that only lasts as long as the page or process, with the same API as localforage.
+// Values are copied on the way in and out, as they would be by storage that serialises them.
+// Import it from "vuex-dash-dpp/src/storage.js", e.g. to share one between stores.
+export const createMemoryStorage = () => {
+  const items = new Map();
+
+  return {
+    getItem: async (key) => {
+      return items.has(key) ? cloneDeep(items.get(key)) : null;
+    },
+    setItem: async (key, value) => {
+      items.set(key, cloneDeep(value));
+
+      return value;
+    },
+    removeItem: async (key) => {
+      items.delete(key);
+    },
+    clear: async () => {
+      items.clear();
+    },
+    keys: async () => [...items.keys()],
+  };
+};
@@ -1,47 +1,353 @@
+import Ajv from "ajv";
 import Dash from "dash";
 import localforage from "localforage";
 import {
+  castArray,
+  chunk,
+  compact,
+  difference,
   each,
+  filter,
+  flatMap,
+  flatten,
   head,
   includes,
+  invert,
   invokeMap,
+  isArray,
   isEqual,
+  isNil,
+  isString,
   keyBy,
   keys,
+  map,
+  mapValues,
+  max,
+  mergeWith,
   omit,
+  noop,
+  omitBy,
   once,
+  orderBy,
+  pick,
   pickBy,
   reduce,
+  some,
   startsWith,
   stubArray,
-  times,
+  toLower,
+  uniq,
   zipObject,
 } from "lodash-es";
 
+import { DashDppError } from "./errors.js";
+import { runQuery } from "./query.js";
+import { createMemoryStorage } from "./storage.js";
+
 const MAX_DOCUMENTS_PER_QUERY = 100;
 const MAX_KILOBYTES_PER_PAYLOAD = 4;
 const MAX_DOCUMENTS_PER_PAYLOAD = 10;
+const DEFAULT_POLL_INTERVAL = 10000;
+const RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 60000;
+
+// Type of relations that refer to identities, rather than to documents
+const IDENTITY = "$identity";
+
+// Codes of errors that retrying a write can't fix
+const FINAL_ERRORS = [
+  "CONFLICT",
+  "CANCELLED",
+  "NOT_FOUND",
+  "MISSING_IDENTITY",
+  "INVALID_DOCUMENT",
+];
+
+// Validates documents against the JSON schemas in the data contract.
+// Platform specific keywords such as `indices` and `byteArray` are ignored.
+const ajv = new Ajv({ allErrors: true });
+
+// Compile the validator for each schema, keyed as the schemas are.
+// Schemas that can't be compiled, e.g. ones that refer to definitions elsewhere in the contract, get no validator,
+// so their documents are left for Platform to validate rather than breaking every getter that depends on these.
+const compileSchemas = (schemas) => {
+  return mapValues(schemas, (schema) => {
+    try {
+      return ajv.compile(schema);
+    } catch (e) {
+      console.debug(e);
+      return null;
+    }
+  });
+};
+
+// Turn the errors from validating a document into a message for each field, for showing next to form inputs.
+// Nested fields are named by their path, e.g. "address.street".
+const fieldErrors = (errors) => {
+  return reduce(
+    errors,
+    (result, { dataPath, message, params }) => {
+      const path = dataPath.replace(/^\./, "");
+      const property = params.missingProperty || params.additionalProperty;
+      const field = property ? compact([path, property]).join(".") : path;
+
+      return result[field] ? result : { ...result, [field]: message };
+    },
+    {}
+  );
+};
+
+// ID for the placeholder of an optimistically created document. Placeholders are saved with the offline queue,
+// so they need to stay unique across sessions, which a counter that starts over on every page load wouldn't.
+const placeholderId = () => {
+  return `unconfirmed-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2)}`;
+};
+
+// Error for changes that have to be signed by an identity when there isn't one
+const missingIdentity = () => {
+  const error = new Error("An identity is required, set the identityId option");
+
+  error.code = "MISSING_IDENTITY";
+
+  return error;
+};
+
+// Error for a transaction that doesn't fit in one state transition, so couldn't be written all at once
+const transactionTooLarge = ({
+  kilobytes = MAX_KILOBYTES_PER_PAYLOAD,
+  documents = MAX_DOCUMENTS_PER_PAYLOAD,
+} = {}) => {
+  const error = new Error(
+    `A transaction can't have more than ${documents} documents or ${kilobytes} kilobytes`
+  );
+
+  error.code = "TRANSACTION_TOO_LARGE";
+
+  return error;
+};
+
+// Error for a transaction item that couldn't be composed or checked, keeping the original code, errors and conflict.
+// `failed` has the document type and the index of the item within that type's list.
+const transactionFailed = (document, index, cause) => {
+  const error = new Error(
+    `Transaction failed at ${document} ${index}: ${cause?.message || cause}`
+  );
+
+  error.code = cause?.code ?? null;
+  error.errors = cause?.errors ?? null;
+  error.conflict = cause?.conflict ?? null;
+  error.failed = { document, index };
+
+  return error;
+};
+
+// Error for replacing or deleting a document that isn't on Platform
+const notFound = (document, id) => {
+  const error = new Error(`No ${document} with ID ${id}`);
+
+  error.code = "NOT_FOUND";
+
+  return error;
+};
+
+// Error for a replace made from an older revision of a document, holding both versions
+const conflict = (document, local, remote) => {
+  const error = new Error(
+    `The ${document} ${remote.$id} has changed since revision ${local.$revision}`
+  );
+
+  error.code = "CONFLICT";
+  error.conflict = { local, remote };
+
+  return error;
+};
+
+// Error for an action that a `before*` hook cancelled
+const cancelled = (hook) => {
+  const error = new Error(`Cancelled by the ${hook} hook`);
+
+  error.code = "CANCELLED";
+
+  return error;
+};
+
+// Error for payments made without a wallet
+const missingAccount = () => {
+  const error = new Error(
+    "A wallet account is required, set the mnemonic option"
+  );
+
+  error.code = "MISSING_ACCOUNT";
+
+  return error;
+};
+
+// Normalise an entry of the wallet account's transaction history.
+// The amount is always positive, in duffs, with the direction telling whether it was received or sent.
+const transaction = ({
+  txId,
+  type,
+  time,
+  satoshisBalanceImpact = 0,
+  feeImpact = 0,
+  confirmations = 0,
+  isInstantLocked = false,
+  isChainLocked = false,
+}) => ({
+  txid: txId,
+  direction: satoshisBalanceImpact < 0 ? "outgoing" : "incoming",
+  type,
+  amount: Math.abs(satoshisBalanceImpact),
+  fee: Math.abs(feeImpact),
+  confirmations,
+  instantLocked: isInstantLocked,
+  chainLocked: isChainLocked,
+  timestamp: time ? new Date(time).getTime() : null,
+});
+
+// Full DPNS name, names without a domain are in the top level "dash" domain
+const domainName = (name) => {
+  return includes(name, ".") ? toLower(name) : `${toLower(name)}.dash`;
+};
+
+// Error for a document that doesn't match its schema, with the problems keyed by field
+const invalidDocument = (document, errors) => {
+  const error = new Error(`Invalid ${document} document`);
+
+  error.code = "INVALID_DOCUMENT";
+  error.errors = errors;
+
+  return error;
+};
+
+// Work out what kind of write an item in a "multiple" payload is.
+// Items with only an `$id` are deleted, items with an `$id` and content are replaced, anything else is created.
+const writeType = (item) => {
+  if (isEqual(keys(item), ["$id"])) {
+    return "delete";
+  }
+
+  return item.$id ? "replace" : "create";
+};
+
+// Document types can be listed by name, or as an object with settings for that type.
+// Settings that are left out fall back to the plugin options.
+const documentConfig = (document) => {
+  return {
+    allQuery: null,
+    orderBy: null,
+    pageSize: MAX_DOCUMENTS_PER_QUERY,
+    autoLoad: true,
+    pollInterval: DEFAULT_POLL_INTERVAL,
+    pollBy: null,
+    cursorBy: null,
+    indexes: ["$ownerId"],
+    conflicts: null,
+    relations: {},
+    ...(isString(document) ? { name: document } : document),
+  };
+};
+
+// Relations can be given as just the document type that a field refers to, or as an object with the type and where to join it.
+// Related documents are joined as the field's name without a leading "$" or trailing "Id" by default, e.g. `category` for `categoryId`.
+const relationConfig = (relation, field) => {
+  return {
+    as: field.replace(/^\$/, "").replace(/Id$/, ""),
+    ...(isString(relation) ? { document: relation } : relation),
+  };
+};
+
+// Contracts in the `contracts` option can be given as just their ID, or as an object with their ID and document types
+const contractConfig = (contract) => {
+  return {
+    documents: [],
+    ...(isString(contract) ? { contractId: contract } : contract),
+  };
+};
+
+// Every document module there should be, keyed by its path within the namespace, e.g. "note" or "social/post".
+// Along with its settings, each has the alias and ID of its contract, or null for the one from the `contractId` option.
+const documentModules = ({ documents, contracts }) => {
+  const modules = {};
+
+  each(documents, (document) => {
+    const config = documentConfig(document);
+
+    modules[config.name] = { config, alias: null, contractId: null };
+  });
+
+  each(contracts, (contract, alias) => {
+    const { contractId, documents } = contractConfig(contract);
+
+    each(documents, (document) => {
+      const config = documentConfig(document);
+
+      modules[`${alias}/${config.name}`] = { config, alias, contractId };
+    });
+  });
+
+  return modules;
+};
+
+// Compare two sets of documents keyed by `$id`, returning the documents that were added or changed, and the IDs of removed ones.
+// Documents are compared by `$revision` where they have one, otherwise by content.
+const diffDocuments = (previous, next, { removals = true } = {}) => {
+  const added = [];
+  const changed = [];
+
+  each(next, (document, id) => {
+    const current = previous[id];
+
+    if (!current) {
+      added.push(document);
+    } else if (
+      document.$revision !== undefined
+        ? document.$revision !== current.$revision
+        : !isEqual(document, current)
+    ) {
+      changed.push(document);
+    }
+  });
+
+  const removed = removals ? filter(keys(previous), (id) => !next[id]) : [];
+
+  return { added, changed, removed };
+};
+
+// Size of a document once serialised into a state transition, in kilobytes.
+// SDK documents serialise themselves, anything else is measured as JSON.
+const transitionSize = (item) => {
+  const bytes =
+    typeof item?.toBuffer === "function"
+      ? item.toBuffer()
+      : new TextEncoder().encode(JSON.stringify(item));
+
+  return bytes.length / 1024;
+};
 
-const regulatePayload = (payload) => {
-  const payloadKeys = keys(payload);
-  const payloadValues = times(payloadKeys.length, stubArray);
-  const included = zipObject(payloadKeys, payloadValues);
-  const remainder = zipObject(payloadKeys, payloadValues);
+// Split off as much of a payload as fits in one state transition, keeping the order of the items.
+// An item that doesn't fit goes to the remainder without ending the payload, so later items that do fit can still fill it up.
+// An item that is too big by itself still gets a payload of its own, so that Platform can reject it.
+const regulatePayload = (payload, limits = {}, measure = transitionSize) => {
+  const {
+    kilobytes = MAX_KILOBYTES_PER_PAYLOAD,
+    documents = MAX_DOCUMENTS_PER_PAYLOAD,
+  } = limits;
+  const included = mapValues(payload, stubArray);
+  const remainder = mapValues(payload, stubArray);
   let size = 0;
-  let limit = 0;
+  let count = 0;
 
   each(payload, (items, key) => {
     each(items, (item) => {
-      const encoded = new TextEncoder().encode(JSON.stringify(item));
+      const itemSize = measure(item);
 
-      size += encoded.length / 1024;
-      limit += 1;
-
-      if (
-        size < MAX_KILOBYTES_PER_PAYLOAD &&
-        limit <= MAX_DOCUMENTS_PER_PAYLOAD
-      ) {
+      if (!count || (size + itemSize <= kilobytes && count < documents)) {
         included[key] = [...included[key], item];
+        size += itemSize;
+        count += 1;
       } else {
         remainder[key] = [...remainder[key], item];
       }
@@ -58,26 +364,94 @@ export default (config) => {
   const defaultOptions = {
     // Namespace for the plugin.
     namespace: "dash",
-    // List of documents to be fetched from Dash drive
+    // List of documents to be fetched from Dash drive.
+    // Each entry is either a document type name, or an object with the name and settings for that type:
+    // `{ name, allQuery, orderBy, pageSize, autoLoad, pollInterval, pollBy, cursorBy, indexes, conflicts, relations }`
+    // `allQuery` replaces the plugin-wide `allQuery` below for that type, `orderBy` is added to its queries,
+    // `pageSize` sets how many documents are fetched per query (up to 100),
+    // and `autoLoad: false` stops all documents of that type being fetched as soon as its module is registered.
+    // `pollInterval` is how often the `watch` action checks for changes, in milliseconds.
+    // `pollBy` can be set to an indexed timestamp such as "$updatedAt", so that polling only fetches documents updated since the last poll.
+    // Removed documents are only noticed when polling fetches everything, so leave it out if documents of that type get deleted.
+    // `loadMore` pages through documents by offset with `startAt`, unless `cursorBy` names a field such as "$id",
+    // in which case the value of that field in the last loaded document is passed as `startAfter`.
+    // `conflicts` replaces the plugin-wide `conflicts` setting below for that type.
+    // `indexes` are the fields that the `query` getter indexes for "==" and "in" clauses, `$ownerId` by default.
+    // `relations` maps fields holding IDs, or arrays of them, to the document type they refer to, for the `populated` getters:
+    // `{ categoryId: "category", $ownerId: "$identity" }`, where "$identity" joins the identity ID and its DPNS name.
+    // Types of aliased contracts are given by their path, e.g. "social/post". `{ document, as }` sets where the related document goes.
     documents: [],
 
     // The network to connect to. One of "livenet", "testnet", "evonet"
     network: "livenet",
     // The contract to sync with
     contractId: null,
+    // Other contracts to sync with, keyed by an alias, each with the ID of the contract and its document types:
+    // `{ social: { contractId: "...", documents: ["post", "comment"] } }`
+    // Document types are listed and configured as in the `documents` option above, and their modules are registered under the alias,
+    // e.g. `dash/social/post`. A contract can also be given as just its ID, to only fetch the contract.
+    contracts: {},
     // The identity to use for making changes
     // Attempts to create, edit or delete documents will fail if not included
     identityId: null,
     // The mnemonic to use for making changes
     // Attempts to create, edit or delete documents will fail if not included
     mnemonic: null,
+    // Creates the client from the connection details, e.g. to use the in-memory `createFakeClient` from "vuex-dash-dpp/src/fake-client.js" in tests.
+    clientFactory: (connection) => new Dash.Client(connection),
     // An object that is passed into queries retrieving all documents.
     // Can include conditions so that only documents matching a certain set of parameters are returned.
+    // Can also be a function, which receives the current options and returns the query, e.g. to only fetch documents owned by `identityId`.
     // By default it will return everything
     allQuery: {},
+    // Apply creates, replaces and deletes to the local state straight away, before Platform confirms them.
+    // Writes that fail to broadcast stay applied, marked as queued, while they wait to be retried from the offline queue.
+    // Writes that retrying can't fix are rolled back and marked as failed.
+    optimistic: false,
+    // How writes that failed to broadcast are retried from the offline queue. The first retry is after `delay` milliseconds,
+    // and the wait doubles after each failed attempt, up to `maxDelay`. `limit` drops a write after that many attempts,
+    // otherwise writes are retried until they succeed or fail in a way that retrying can't fix, such as a conflict.
+    retry: {
+      delay: RETRY_DELAY,
+      maxDelay: MAX_RETRY_DELAY,
+      limit: null,
+    },
+    // How much goes into each state transition when broadcasting, as the size in kilobytes and the number of documents.
+    // Bigger payloads are broadcast in several parts.
+    payloadLimits: {
+      kilobytes: MAX_KILOBYTES_PER_PAYLOAD,
+      documents: MAX_DOCUMENTS_PER_PAYLOAD,
+    },
+    // What to do when a replaced document has changed on Platform since the `$revision` passed along with it.
+    // "reject" fails the write with a "CONFLICT" error holding both versions, "overwrite" keeps the last write,
+    // "merge" keeps remote changes to fields that weren't edited, and a function receives `{ local, remote, base }`
+    // and returns the data to write. Writes without a `$revision` always overwrite.
+    conflicts: "reject",
+    // Keep a copy of each document type's documents in local storage, so they can be shown straight away on the next visit
+    // while they are fetched again in the background. Cached documents are kept separately for each network and contract.
+    cache: true,
+    // Storage for the wallet, cached documents and the offline queue. Accepts anything with the same `getItem`, `setItem`
+    // and `removeItem` methods as localforage, which is used in browsers. Elsewhere, such as in Node or when rendering on the server,
+    // everything is kept in memory unless another adapter is passed in, e.g. `createFileStorage` from "vuex-dash-dpp/src/file-storage.js".
+    storage:
+      typeof window !== "undefined" ? localforage : createMemoryStorage(),
+    // Called with a `DashDppError` whenever a plugin action fails, e.g. to report it or show a notification.
+    // Its `action` is the one that was dispatched, rather than any it dispatched in turn, and each failure is only passed in once.
+    onError: null,
+    // Functions, or arrays of functions run in order, that are called as the plugin works:
+    // `beforeCompose(content, { document })` before a document is composed, e.g. to add timestamps,
+    // `beforeBroadcast(payload, { document })` before documents are broadcast,
+    // `afterBroadcast(payload, { document })` once they have been, for a transaction with `{ documents }`, the types it writes,
+    // `onDocumentsChanged(documents, { document })` whenever the documents of a type in state change,
+    // `onRemoteChanges({ added, changed, removed }, { document })` when polling finds documents changed elsewhere,
+    // `onAccountSynced(account)` and `onIdentitySynced(identity)` whenever the wallet account or identity is synced.
+    // The `before*` hooks can return a new payload to use instead, or `false` to cancel the action with a "CANCELLED" error.
+    hooks: {},
 
     // Map root state values or getters to the plugin state, so that connection details can be changed dynamically.
     // Accepts a tuple, with the first parameter being an array of field names present in the root state or existing as getters.
+    // Each field syncs to the option of the same name. To sync a differently named field, pass an object mapping option names to fields instead,
+    // e.g. `{ identityId: "currentIdentity" }`.
     // Second parameter is an array of mutations present on the root state that the plugin should subscribe to to watch for changes in the values from the first array.
     subscribeToFrom: [[], []],
   };
@@ -91,8 +465,202 @@ export default (config) => {
   // Destructure subscription tuple to return list of values and mutations to subscribe and sync
   const [subscriptions, fromRoot] = subscribeToFrom;
 
+  // Record an error against the module that raised it and, unless `notify` is false, pass it to the `onError` hook.
+  // Works for the root module and document modules alike, as both keep `status` and `lastError` state.
+  // Errors from nested actions are wrapped again, so that the error names the action it is reported for.
+  const report = (
+    { commit, rootGetters },
+    action,
+    e,
+    { notify = true } = {}
+  ) => {
+    const error =
+      e instanceof DashDppError && e.action === action
+        ? e
+        : new DashDppError(action, e);
+    const { onError } = rootGetters[`${namespace}/options`];
+
+    commit("status", { action, status: "error" });
+    commit("lastError", {
+      action: error.action,
+      code: error.code,
+      message: error.message,
+      errors: error.errors,
+    });
+
+    if (notify && typeof onError === "function") {
+      onError(error);
+    }
+
+    return error;
+  };
+
+  // Wrap an action so that its progress is tracked in the module `status` state.
+  // Failures are reported and rethrown as a `DashDppError`, so callers can handle them too.
+  // Only the outermost tracked action passes the failure to the `onError` hook, so the hook gets the action that the app dispatched.
+  const tracked = (action, handler) => {
+    const run = async (context, payload) => {
+      context.commit("status", { action, status: "loading" });
+
+      try {
+        const result = await handler(context, payload);
+
+        context.commit("status", { action, status: "success" });
+
+        return result;
+      } catch (e) {
+        throw report(context, action, e, { notify: !context.nested });
+      }
+    };
+
+    run.tracked = true;
+
+    return run;
+  };
+
+  // Whether the action about to run was dispatched, directly or through other actions, by a tracked action.
+  // Vuex runs an action as soon as it is dispatched, so this only has to hold for the `dispatch` call.
+  let dispatchingNested = false;
+
+  // Give each action of a module a context with `nested`, whether a tracked action dispatched it,
+  // and a `dispatch` that passes that on to the actions it dispatches in turn.
+  const nestable = (actions) => {
+    return mapValues(actions, (handler) => (context, payload) => {
+      const nested = dispatchingNested;
+
+      dispatchingNested = false;
+
+      return handler(
+        Object.create(context, {
+          nested: { value: nested },
+          dispatch: {
+            value: (type, payload, options) => {
+              dispatchingNested = nested || handler.tracked === true;
+
+              try {
+                return context.dispatch(type, payload, options);
+              } finally {
+                dispatchingNested = false;
+              }
+            },
+          },
+        }),
+        payload
+      );
+    });
+  };
+
+  // Run the hooks for `name` from the `hooks` option, each receiving the payload returned by the one before.
+  // Hooks that return nothing leave the payload as it is.
+  const runHooks = async (options, name, payload, info) => {
+    let result = payload;
+
+    for (const hook of castArray(options.hooks?.[name] || [])) {
+      const returned = await hook(result, info);
+
+      if (returned === false) {
+        throw cancelled(name);
+      }
+
+      if (returned !== undefined) {
+        result = returned;
+      }
+    }
+
+    return result;
+  };
+
+  // Run hooks that are only told about something that happened, without letting their failures spread
+  const notifyHooks = (options, name, payload, info) => {
+    runHooks(options, name, payload, info).catch(console.debug);
+  };
+
+  // The current identity for signing changes, loading it first if needed
+  const signingIdentity = async ({ dispatch, getters }) => {
+    if (!getters.identity && getters.options.identityId) {
+      await dispatch("identityInit");
+    }
+
+    if (!getters.identity) {
+      throw missingIdentity();
+    }
+
+    return getters.identity;
+  };
+
+  // Whether a write that failed with `e` after `attempts` attempts should stay in the offline queue
+  const retryable = (e, attempts, { retry = {} }) => {
+    return (
+      !includes(FINAL_ERRORS, e.code) &&
+      !(retry.limit && attempts >= retry.limit)
+    );
+  };
+
+  // The wallet account, loading it first if needed
+  const walletAccount = async ({ dispatch, getters }) => {
+    if (!getters.account && getters.options.mnemonic) {
+      await dispatch("accountInit");
+    }
+
+    if (!getters.account) {
+      throw missingAccount();
+    }
+
+    return getters.account;
+  };
+
+  // Join the documents that `document` refers to into a copy of it, from the modules of their types.
+  // `relations` are relation configs keyed by field. Related documents that aren't in state are null.
+  const populate = (document, relations, rootGetters) => {
+    if (!document) {
+      return null;
+    }
+
+    return reduce(
+      relations,
+      (result, { document: type, as }, field) => {
+        const related = (id) => {
+          if (isNil(id)) {
+            return null;
+          }
+
+          if (type === IDENTITY) {
+            return {
+              $id: id,
+              name: rootGetters[`${namespace}/names/nameOf`](id),
+            };
+          }
+
+          return rootGetters[`${namespace}/${type}/one`]?.(id) ?? null;
+        };
+
+        result[as] = isArray(document[field])
+          ? map(document[field], related)
+          : related(document[field]);
+        return result;
+      },
+      { ...document }
+    );
+  };
+
   // Install plugin
   return (store) => {
+    // The client for the current connection details, and the connection details it was created with
+    let managed = null;
+    // Removes the listeners added to the current wallet account
+    let unlisten = noop;
+
+    // Disconnect the current client, so that its wallet and connections don't outlive it
+    const teardown = () => {
+      const { client } = managed || {};
+
+      unlisten();
+      unlisten = noop;
+      managed = null;
+
+      return Promise.resolve(client?.disconnect?.()).catch(console.debug);
+    };
+
     // Create a module within the provided namespace
     store.registerModule(namespace, {
       namespaced: true,
@@ -105,6 +673,7 @@ export default (config) => {
         accountInit: null,
         accountSynced: false,
         accountSyncing: false,
+        transactions: [],
 
         // Identity state defaults
         identity: null,
@@ -112,19 +681,52 @@ export default (config) => {
         identitySynced: false,
         identitySyncing: false,
         identityRegistering: false,
+
+        // Every identity of the wallet account that has been loaded, keyed by ID
+        loadedIdentities: {},
+
+        // Contract state defaults
+        contract: null,
+        contractSyncing: false,
+
+        // State of the client, changed by the `connect` and `disconnect` actions
+        connectionState: "connecting",
+
+        // Whether the browser reports a network connection
+        online: typeof navigator === "undefined" || navigator.onLine,
+
+        // Status of each action, one of "idle", "loading", "success" or "error", and details of the last failure
+        status: {},
+        lastError: null,
       }),
       getters: {
         options: (state) => {
           return state.options;
         },
 
+        // Settings for each document type, with defaults filled in
+        documents: (state) => {
+          return map(state.options.documents, documentConfig);
+        },
+        // Settings for each contract in the `contracts` option, keyed by alias
+        contracts: (state) => {
+          return mapValues(state.options.contracts, contractConfig);
+        },
+        // Path of every document module within the namespace, including those of aliased contracts, e.g. "note" or "social/post"
+        documentPaths: (state) => {
+          return keys(documentModules(state.options));
+        },
+
+        // Where the wallet and anything else the plugin saves is stored
+        storage: (state) => state.options.storage,
+
         // Connection is dynamically created on demand and uses values from the local state.
-        connection: (state) => {
+        connection: (state, getters) => {
           return {
             network: state.options.network,
             wallet: {
               mnemonic: state.options.mnemonic,
-              adapter: localforage,
+              adapter: state.options.storage,
               unsafeOptions: {
                 skipSynchronizationBeforeHeight: 415000,
               },
@@ -133,20 +735,53 @@ export default (config) => {
               Contract: {
                 contractId: state.options.contractId,
               },
+              ...mapValues(getters.contracts, ({ contractId }) => ({
+                contractId,
+              })),
             },
           };
         },
 
-        // Client uses the dynamic connection details above
+        // Key prefix for anything persisted by the plugin, scoped to the current network and contract
+        storageKey: (state) => (...parts) => {
+          return [
+            namespace,
+            state.options.network,
+            state.options.contractId,
+            ...parts,
+          ].join("/");
+        },
+
+        // Client uses the dynamic connection details above.
+        // The same client is kept until the connection details change, or until the `disconnect` action is run.
         client: (state, getters) => {
+          if (state.connectionState === "disconnected") {
+            return null;
+          }
+
+          const { connection } = getters;
+
+          if (managed && isEqual(managed.connection, connection)) {
+            return managed.client;
+          }
+
+          teardown();
+
           try {
-            return new Dash.Client(getters.connection);
+            managed = {
+              connection,
+              client: state.options.clientFactory(connection),
+            };
+
+            return managed.client;
           } catch (e) {
             console.debug(e);
           }
 
           return null;
         },
+        // One of "connecting", "connected", "disconnected" or "error"
+        connectionState: (state) => state.connectionState,
 
         // Account related getters
         accountSynced: (state) => state?.accountSynced,
@@ -174,6 +809,8 @@ export default (config) => {
 
           return null;
         },
+        // Transaction history of the wallet account, newest first
+        transactions: (state) => state.transactions,
         confirmedBalance: (state, getters) => {
           if (getters.account && getters.accountSynced) {
             return getters.account.getConfirmedBalance();
@@ -223,6 +860,10 @@ export default (config) => {
 
           return null;
         },
+        // Identities loaded with `identitiesInit`, keyed by ID
+        loadedIdentities: (state) => {
+          return mapValues(state.loadedIdentities, (identity) => identity());
+        },
         credit: (state, getters) => {
           if (getters.identity && getters.identitySynced) {
             return getters.identity.getBalance();
@@ -231,7 +872,30 @@ export default (config) => {
           return 0;
         },
 
+        // Contract related getters
+        contract: (state) => {
+          if (state.contract && typeof state.contract === "function") {
+            return state.contract();
+          }
+
+          return null;
+        },
+        contractSyncing: (state) => state?.contractSyncing,
+        // JSON schema of each document type in the contract, keyed by type
+        schemas: (state, getters) => {
+          return getters.contract?.toJSON().documents || {};
+        },
+        // Compiled validators for each document type in the contract
+        validators: (state, getters) => {
+          return compileSchemas(getters.schemas);
+        },
+
+        // Status related getters
+        status: (state) => (action) => state.status[action] || "idle",
+        lastError: (state) => state.lastError,
+
         // Utility getters
+        online: (state) => state?.online,
         balance: (state, getters) => {
           return {
             confirmed: getters.confirmedBalance,
@@ -254,6 +918,9 @@ export default (config) => {
         accountSyncing: (state, payload) => {
           state.accountSyncing = payload;
         },
+        transactions: (state, payload) => {
+          state.transactions = payload;
+        },
 
         // Identity related mutations
         identity: (state, payload) => {
@@ -271,19 +938,51 @@ export default (config) => {
         identityRegistering: (state, payload) => {
           state.identityRegistering = payload;
         },
+        loadedIdentities: (state, payload) => {
+          state.loadedIdentities = payload;
+        },
+
+        // Contract related mutations
+        contract: (state, payload) => {
+          state.contract = payload;
+        },
+        contractSyncing: (state, payload) => {
+          state.contractSyncing = payload;
+        },
+
+        // Connectivity related mutations
+        online: (state, payload) => {
+          state.online = payload;
+        },
+        connectionState: (state, payload) => {
+          state.connectionState = payload;
+        },
+
+        // Status related mutations
+        status: (state, { action, status }) => {
+          state.status = { ...state.status, [action]: status };
+        },
+        lastError: (state, payload) => {
+          state.lastError = payload;
+        },
 
         // Update options
         updateOptions: (state, payload) => {
           state.options = { ...state.options, ...payload };
         },
       },
-      actions: {
+      actions: nestable({
         // Init action, this will get run automatically when necessary to reinitialise the wallet account
         init: async ({ commit, getters, dispatch }) => {
+          // The previous account is about to be dropped, so stop listening to it
+          unlisten();
+          unlisten = noop;
+
           // Reset everything account related that might have been persisted
           commit("account", null);
           commit("accountSynced", false);
           commit("accountSyncing", false);
+          commit("transactions", []);
 
           // Reset everything identity related that might have been persisted
           commit("identity", null);
@@ -291,11 +990,12 @@ export default (config) => {
           commit("identitySyncing", false);
           commit("identityRegistering", false);
 
-          // If we have a mnemonic, we can try to fetch an account
+          // If we have a mnemonic, we can try to fetch an account.
+          // Failures are already recorded in the status state, so there is nothing more to do with them here.
           if (getters.options.mnemonic) {
             commit(
               "accountInit",
-              once(() => dispatch("accountInit"))
+              once(() => dispatch("accountInit").catch(noop))
             );
           } else {
             commit("accountInit", null);
@@ -305,34 +1005,133 @@ export default (config) => {
           if (getters.options.identityId) {
             commit(
               "identityInit",
-              once(() => dispatch("identityInit"))
+              once(() => dispatch("identityInit").catch(noop))
             );
           } else {
             commit("identityInit", null);
           }
+
+          // Fetch the contract, unless it's already the one we have
+          if (!getters.options.contractId) {
+            commit("contract", null);
+          } else if (
+            getters.contract?.getId().toString() !== getters.options.contractId
+          ) {
+            commit("contract", null);
+            dispatch("contractInit").catch(noop);
+          }
         },
 
-        accountInit: async ({ commit, getters }) => {
-          commit("accountSyncing", true);
+        // Create the client if there isn't one, initialise everything for it, and check that Platform can be reached.
+        // The plugin connects when it's installed, and again when the browser comes back online after a failed attempt.
+        // The connection state is only "connected" once DAPI has answered, and "error" if it couldn't be reached.
+        connect: tracked("connect", async ({ commit, dispatch, getters }) => {
+          commit("connectionState", "connecting");
+
+          if (!getters.client) {
+            commit("connectionState", "error");
+
+            throw new Error("The client could not be created");
+          }
+
+          await dispatch("init");
 
           try {
-            const account = await getters.client.getWalletAccount();
+            await getters.client.getDAPIClient().core.getBestBlockHeight();
+          } catch (e) {
+            commit("connectionState", "error");
+
+            throw e;
+          }
 
-            account.on("TRANSACTION", () => {
+          commit("connectionState", "connected");
+          dispatch("flush");
+        }),
+
+        // Stop watching for document changes and disconnect the client, e.g. before the store is thrown away.
+        // Documents already in state are kept, and there is no client until the `connect` action is run.
+        disconnect: tracked(
+          "disconnect",
+          async ({ commit, dispatch, getters }) => {
+            await Promise.all(
+              map(getters.documentPaths, (path) => dispatch(`${path}/stop`))
+            );
+            await teardown();
+
+            commit("connectionState", "disconnected");
+            commit("account", null);
+            commit("accountInit", null);
+            commit("accountSynced", false);
+            commit("identity", null);
+            commit("identityInit", null);
+            commit("identitySynced", false);
+          }
+        ),
+
+        accountInit: tracked(
+          "accountInit",
+          async ({ commit, dispatch, getters }) => {
+            commit("accountSyncing", true);
+
+            try {
+              const account = await getters.client.getWalletAccount();
+              const listener = () => {
+                commit("accountSynced", Date.now());
+                dispatch("transactionsInit").catch(noop);
+              };
+
+              unlisten();
+              account.on("TRANSACTION", listener);
+              unlisten = () => account.removeListener("TRANSACTION", listener);
+
+              commit("account", () => account);
+              commit("accountInit", null);
               commit("accountSynced", Date.now());
+            } finally {
+              commit("accountSyncing", false);
+            }
+
+            // The account is usable without its history, failures are recorded in the status state
+            dispatch("transactionsInit").catch(noop);
+          }
+        ),
+
+        // Load the transaction history of the wallet account
+        transactionsInit: tracked(
+          "transactionsInit",
+          async ({ commit, dispatch, getters }) => {
+            const account = await walletAccount({ dispatch, getters });
+            const history = await account.getTransactionHistory();
+
+            commit(
+              "transactions",
+              orderBy(map(history, transaction), "timestamp", "desc")
+            );
+
+            return getters.transactions;
+          }
+        ),
+
+        // Send a payment from the wallet account, `payload` is `{ address, amount }` with the amount in duffs.
+        // Resolves with the ID of the broadcast transaction.
+        send: tracked(
+          "send",
+          async ({ commit, dispatch, getters }, { address, amount } = {}) => {
+            const account = await walletAccount({ dispatch, getters });
+            const payment = account.createTransaction({
+              recipient: address,
+              satoshis: amount,
             });
+            const txid = await account.broadcastTransaction(payment);
 
-            commit("account", () => account);
-            commit("accountInit", null);
             commit("accountSynced", Date.now());
-          } catch (e) {
-            console.debug(e);
-          }
+            await dispatch("transactionsInit");
 
-          commit("accountSyncing", false);
-        },
+            return txid;
+          }
+        ),
 
-        identityInit: async ({ commit, getters }) => {
+        identityInit: tracked("identityInit", async ({ commit, getters }) => {
           commit("identitySyncing", true);
 
           try {
@@ -343,300 +1142,1962 @@ export default (config) => {
             commit("identity", () => identity);
             commit("identityInit", null);
             commit("identitySynced", Date.now());
-          } catch (e) {
-            console.debug(e);
+          } finally {
+            commit("identitySyncing", false);
           }
+        }),
 
-          commit("identitySyncing", false);
-        },
-
-        register: async ({ commit, getters }) => {
-          commit("identityRegistering", true);
-          let register = null;
+        contractInit: tracked("contractInit", async ({ commit, getters }) => {
+          commit("contractSyncing", true);
 
           try {
-            register = await getters.client.platform.identities.register();
-          } catch (e) {
-            console.debug(e);
+            const contract = await getters.client.platform.contracts.get(
+              getters.options.contractId
+            );
+
+            commit("contract", () => contract);
+          } finally {
+            commit("contractSyncing", false);
           }
+        }),
+
+        // Publish a new data contract signed by the current identity.
+        // `payload` is the JSON schema of each document type, keyed by type.
+        // The new contract becomes the `contractId` option, and any types that aren't listed in the `documents` option yet are added to it.
+        publishContract: tracked(
+          "publishContract",
+          async ({ commit, dispatch, getters }, payload = {}) => {
+            const { client } = getters;
+            const identity = await signingIdentity({ dispatch, getters });
+
+            const contract = await client.platform.contracts.create(
+              payload,
+              identity
+            );
 
-          commit("identityRegistering", false);
+            await client.platform.contracts.broadcast(contract, identity);
 
-          return register;
-        },
+            commit("contract", () => contract);
+            commit("updateOptions", {
+              contractId: contract.getId().toString(),
+              documents: [
+                ...getters.options.documents,
+                ...difference(keys(payload), map(getters.documents, "name")),
+              ],
+            });
 
-        // Helper to run the "all" action for every document module
-        all: async ({ dispatch, state, ...rest }) => {
-          each(state.options.documents, (document) => {
-            dispatch(`${document}/all`);
-          });
-        },
-      },
-    });
+            return contract;
+          }
+        ),
+
+        // Add or change document types in the current data contract, signed by the current identity.
+        // `payload` is the JSON schema of each document type to add or change, keyed by type.
+        // New types are added to the `documents` option.
+        updateContract: tracked(
+          "updateContract",
+          async ({ commit, dispatch, getters }, payload = {}) => {
+            const { client } = getters;
+            const identity = await signingIdentity({ dispatch, getters });
+
+            const contract =
+              getters.contract ||
+              (await client.platform.contracts.get(getters.options.contractId));
+
+            each(payload, (schema, type) => {
+              contract.setDocumentSchema(type, schema);
+            });
 
-    store.watch(
-      (state) => state[namespace].options.documents,
-      (newDocuments, oldDocuments) => {
-        // Remove old modules
-        each(oldDocuments, (document) => {
-          store.unregisterModule([namespace, document]);
-        });
-        // Dynamically create a module for each document in the list
-        each(newDocuments, (document) => {
-          store.registerModule([namespace, document], {
-            namespaced: true,
-            state: {
-              documents: {},
-            },
-            getters: {
-              all: (state) => state.documents,
-              one: (state) => (id) => state.documents?.[id],
-            },
-            mutations: {
-              all: (state, payload) => {
-                const documents = keyBy(invokeMap(payload, "toJSON"), "$id");
-                state.documents = documents;
-              },
-              one: (state, payload) => {
-                const document = payload.toJSON();
-                state.documents = {
-                  ...state.documents,
-                  [document.$id]: document,
-                };
-              },
-              remove: (state, payload) => {
-                const document = payload.toJSON();
-                state.documents = {
-                  ...omit(state.documents, document.$id),
-                };
-              },
-            },
-            actions: {
-              // Helper that wraps the "retrieve" action with a query to fetch all documents.
-              // The `allQuery` parameter can be customised in plugin options.
-              all: async ({
-                dispatch,
-                commit,
-                rootState: {
-                  [namespace]: { options },
-                },
-              }) => {
-                let all = [];
-                let page = 0;
-
-                while (all.length >= page * MAX_DOCUMENTS_PER_QUERY) {
-                  const query = {
-                    ...options.allQuery,
-                    startAt: page * MAX_DOCUMENTS_PER_QUERY,
-                    limit: MAX_DOCUMENTS_PER_QUERY,
-                  };
+            await client.platform.contracts.update(contract, identity);
 
-                  all = [...all, ...(await dispatch("retrieve", query))];
+            commit("contract", () => contract);
+            commit("updateOptions", {
+              documents: [
+                ...getters.options.documents,
+                ...difference(keys(payload), map(getters.documents, "name")),
+              ],
+            });
 
-                  page++;
-                }
+            return contract;
+          }
+        ),
 
-                commit("all", all);
+        // Load every identity of the wallet account
+        identitiesInit: tracked(
+          "identitiesInit",
+          async ({ commit, dispatch, getters }) => {
+            await walletAccount({ dispatch, getters });
 
-                return all;
-              },
+            const ids = getters.identities;
+            const identities = await Promise.all(
+              map(ids, (id) => getters.client.platform.identities.get(id))
+            );
 
-              // Helper to wrap the "retrieve" action to return the first document matching the `id` passed in the payload.
-              one: async ({ dispatch, commit }, payload = null) => {
-                const one = head(
-                  await dispatch("retrieve", {
-                    where: [["$id", "==", payload]],
-                  })
-                );
+            commit(
+              "loadedIdentities",
+              zipObject(
+                ids,
+                map(identities, (identity) => () => identity)
+              )
+            );
 
-                commit("one", one);
+            return identities;
+          }
+        ),
 
-                return one;
-              },
+        // Make another identity the one that signs changes
+        switchIdentity: tracked(
+          "switchIdentity",
+          async ({ commit, dispatch, getters }, payload) => {
+            commit("updateOptions", { identityId: payload });
+            await dispatch("identityInit");
 
-              // Retrieve from documents. `payload` is a query.
-              retrieve: async ({ rootGetters }, payload = {}) => {
-                return await rootGetters[
-                  `${namespace}/client`
-                ].platform.documents.get(`Contract.${document}`, payload);
-              },
+            return getters.identity;
+          }
+        ),
+
+        // Top up the credits of an identity from the wallet account.
+        // `payload` is `{ amount, identityId }`, in duffs, and defaults to the current identity.
+        topUp: tracked(
+          "topUp",
+          async (
+            { commit, getters },
+            { amount, identityId = getters.options.identityId } = {}
+          ) => {
+            if (!identityId) {
+              throw missingIdentity();
+            }
+
+            await getters.client.platform.identities.topUp(identityId, amount);
+
+            // Fetch the identity again for its new balance
+            const identity = await getters.client.platform.identities.get(
+              identityId
+            );
 
-              compose: async ({ rootGetters }, payload = {}) => {
-                const client = rootGetters[`${namespace}/client`];
+            if (getters.loadedIdentities[identityId]) {
+              commit("loadedIdentities", {
+                ...getters.loadedIdentities,
+                [identityId]: () => identity,
+              });
+            }
 
-                try {
-                  const composed = await client.platform.documents.create(
-                    `Contract.${document}`,
-                    rootGetters[`${namespace}/identity`],
-                    payload
-                  );
+            if (identityId === getters.options.identityId) {
+              commit("identity", () => identity);
+              commit("identitySynced", Date.now());
+            }
 
-                  return composed;
-                } catch (e) {
-                  console.debug(e);
-                }
-              },
+            if (getters.account) {
+              commit("accountSynced", Date.now());
+            }
 
-              multiple: async ({ commit, dispatch }, payload = {}) => {
-                const { remainder, included } = regulatePayload({
-                  items: payload,
-                });
+            return identity;
+          }
+        ),
 
-                const documents = {
-                  create: [],
-                  replace: [],
-                  delete: [],
+        // Register a new identity and make it the one that signs changes
+        register: tracked("register", async ({ commit, dispatch, getters }) => {
+          commit("identityRegistering", true);
+
+          try {
+            const identity = await getters.client.platform.identities.register();
+            const identityId = identity.getId().toString();
+
+            commit("loadedIdentities", {
+              ...getters.loadedIdentities,
+              [identityId]: () => identity,
+            });
+
+            await dispatch("switchIdentity", identityId);
+
+            return identity;
+          } finally {
+            commit("identityRegistering", false);
+          }
+        }),
+
+        // Write to several document types at once. `payload` lists the items for each type, keyed by type,
+        // in the same form as the `multiple` action of document modules: `{ post: [{ ... }], comment: [{ $id }] }`.
+        // Types of aliased contracts are keyed by their path, e.g. `{ "social/post": [{ ... }] }`.
+        // Everything is composed first, then broadcast as a single state transition, so either all of it is written or none of it.
+        // Transactions over the `payloadLimits` are rejected with a "TRANSACTION_TOO_LARGE" error before anything is broadcast.
+        // If an item can't be composed or checked, the error keeps its code and has the type and index of the item in `failed`.
+        // State is updated once the transition has been broadcast. Unlike `multiple`, nothing is queued while offline.
+        transaction: tracked(
+          "transaction",
+          async ({ commit, dispatch, getters }, payload = {}) => {
+            const identity = await signingIdentity({ dispatch, getters });
+            const writes = [];
+
+            // Compose and check one item, without touching state
+            const prepare = async (document, item) => {
+              const type = writeType(item);
+
+              if (type === "create") {
+                return {
+                  type,
+                  item: await dispatch(`${document}/compose`, item),
+                };
+              }
+
+              if (type === "replace") {
+                const { valid, errors } = getters[`${document}/validate`](item);
+
+                if (!valid) {
+                  throw invalidDocument(document, errors);
+                }
+
+                return {
+                  type,
+                  item: await dispatch(`${document}/reconcile`, {
+                    payload: item,
+                  }),
                 };
+              }
+
+              const existing = await dispatch(`${document}/find`, item.$id);
+
+              if (!existing) {
+                throw notFound(document, item.$id);
+              }
+
+              return { type, item: existing };
+            };
+
+            for (const [document, items] of Object.entries(payload)) {
+              if (!includes(getters.documentPaths, document)) {
+                throw new Error(`Unknown document type "${document}"`);
+              }
 
+              for (const [index, item] of items.entries()) {
                 try {
-                  for await (const item of included.items) {
-                    if (isEqual(keys(item), ["$id"])) {
-                      const deleted = await dispatch("one", item.$id);
+                  writes.push({
+                    document,
+                    ...(await prepare(document, item)),
+                  });
+                } catch (e) {
+                  throw transactionFailed(document, index, e);
+                }
+              }
+            }
+
+            const options = getters.options;
+            const documents = uniq(map(writes, "document"));
+            // Hooks may swap items for others, which are matched to their type by ID
+            const paths = new Map(
+              map(writes, ({ document, item }) => [item.getId(), document])
+            );
+            const transition = {
+              create: [],
+              replace: [],
+              delete: [],
+              ...(await runHooks(
+                options,
+                "beforeBroadcast",
+                {
+                  create: map(filter(writes, ["type", "create"]), "item"),
+                  replace: map(filter(writes, ["type", "replace"]), "item"),
+                  delete: map(filter(writes, ["type", "delete"]), "item"),
+                },
+                { documents }
+              )),
+            };
+            const { remainder } = regulatePayload(
+              transition,
+              options.payloadLimits
+            );
+
+            if (
+              remainder.create.length ||
+              remainder.replace.length ||
+              remainder.delete.length
+            ) {
+              throw transactionTooLarge(options.payloadLimits);
+            }
+
+            await getters.client.platform.documents.broadcast(
+              transition,
+              identity
+            );
+
+            const pathOf = (item) => paths.get(item.getId()) ?? item.getType();
+
+            each([...transition.create, ...transition.replace], (item) => {
+              commit(`${pathOf(item)}/one`, item);
+            });
+            each(transition.delete, (item) => {
+              commit(`${pathOf(item)}/remove`, item);
+            });
+            each(documents, (document) => {
+              dispatch(`${document}/cache`);
+            });
 
-                      documents.delete.push(deleted);
-                    } else if (item.$id) {
-                      const replaced = await dispatch("one", item.$id);
+            notifyHooks(options, "afterBroadcast", transition, { documents });
 
-                      replaced.setData(
-                        pickBy(item, (value, key) => !startsWith(key, "$"))
-                      );
+            return true;
+          }
+        ),
 
-                      documents.replace.push(replaced);
-                    } else {
-                      const created = await dispatch("compose", item);
+        // Helper to run the "all" action for every document module
+        all: tracked("all", async ({ dispatch, getters }) => {
+          return Promise.all(
+            map(getters.documentPaths, (path) => dispatch(`${path}/all`))
+          );
+        }),
+
+        // Helper to replay the offline write queue for every document module
+        flush: async ({ dispatch, getters }) => {
+          for (const path of getters.documentPaths) {
+            await dispatch(`${path}/flush`);
+          }
+        },
+      }),
+    });
 
-                      documents.create.push(created);
-                    }
+    // Dash Platform Name Service usernames, for showing names instead of identity IDs
+    store.registerModule([namespace, "names"], {
+      namespaced: true,
+      state: {
+        // Name of each identity that has been looked up, keyed by identity ID, or null if it has none
+        names: {},
+
+        // Identity ID of each name that has been resolved, keyed by name
+        identityIds: {},
+
+        // Status of each action, and details of the last failure
+        status: {},
+        lastError: null,
+      },
+      getters: {
+        nameOf: (state) => (id) => state.names[id] ?? null,
+        identityIdOf: (state) => (name) => {
+          return state.identityIds[domainName(name)] ?? null;
+        },
+        status: (state) => (action) => state.status[action] ?? "idle",
+        lastError: (state) => state.lastError,
+      },
+      mutations: {
+        // Add a name for each identity ID, `null` names are remembered as not having one
+        names: (state, payload) => {
+          state.names = { ...state.names, ...payload };
+          state.identityIds = {
+            ...state.identityIds,
+            ...invert(pickBy(payload, isString)),
+          };
+        },
+        status: (state, { action, status }) => {
+          state.status = { ...state.status, [action]: status };
+        },
+        lastError: (state, payload) => {
+          state.lastError = payload;
+        },
+      },
+      actions: nestable({
+        // Register a username for the current identity, `payload` is the name with or without the ".dash" domain
+        register: tracked(
+          "register",
+          async ({ commit, rootGetters }, payload) => {
+            const identity = rootGetters[`${namespace}/identity`];
+
+            if (!identity) {
+              throw missingIdentity();
+            }
+
+            const name = domainName(payload);
+
+            await rootGetters[`${namespace}/client`].platform.names.register(
+              name,
+              { dashUniqueIdentityId: identity.getId() },
+              identity
+            );
+
+            commit("names", { [identity.getId().toString()]: name });
+
+            return name;
+          }
+        ),
+
+        // Find the identity ID for a name, or null if nobody has registered it
+        resolve: tracked(
+          "resolve",
+          async ({ commit, rootGetters }, payload) => {
+            const name = domainName(payload);
+            const document = await rootGetters[
+              `${namespace}/client`
+            ].platform.names.resolve(name);
+
+            if (!document) {
+              return null;
+            }
+
+            const identityId = document
+              .getData()
+              .records.dashUniqueIdentityId.toString();
+
+            commit("names", { [identityId]: name });
+
+            return identityId;
+          }
+        ),
+
+        // Look up the names of a list of identity IDs, skipping any that have been looked up before
+        lookup: tracked(
+          "lookup",
+          async ({ commit, rootGetters, state }, payload = []) => {
+            const ids = filter(
+              uniq(compact(payload)),
+              (id) => state.names[id] === undefined
+            );
+            const results = await Promise.all(
+              map(ids, (id) =>
+                rootGetters[
+                  `${namespace}/client`
+                ].platform.names.resolveByRecord("dashUniqueIdentityId", id)
+              )
+            );
+
+            commit(
+              "names",
+              zipObject(
+                ids,
+                map(results, ([document]) => {
+                  if (!document) {
+                    return null;
                   }
 
-                  const success = await dispatch("broadcast", documents);
+                  const {
+                    label,
+                    normalizedParentDomainName,
+                  } = document.getData();
 
-                  if (success) {
-                    each(
-                      [...documents.create, ...documents.replace],
-                      (document) => {
-                        commit("one", document);
-                      }
-                    );
-                    each(documents.delete, (document) => {
-                      commit("remove", document);
-                    });
+                  return `${label}.${normalizedParentDomainName}`;
+                })
+              )
+            );
 
-                    if (remainder.length) {
-                      return await dispatch("multiple", remainder.items);
-                    }
+            return pick(state.names, payload);
+          }
+        ),
+      }),
+    });
 
-                    return true;
+    // Document modules that are currently registered, keyed by path as returned by `documentModules`
+    let registered = {};
+    // IDs of the contracts that have a module for their alias, keyed by alias
+    let aliases = {};
+    // Functions that stop watching the storage key of each registered document module, keyed by path
+    let unwatchKeys = {};
+
+    // Register a module for a contract from the `contracts` option, which fetches the contract for validating its documents
+    const registerContract = (alias, contractId) => {
+      aliases = { ...aliases, [alias]: contractId };
+
+      store.registerModule([namespace, alias], {
+        namespaced: true,
+        state: {
+          contractId,
+          contract: null,
+          contractSyncing: false,
+          status: {},
+          lastError: null,
+        },
+        getters: {
+          contractId: (state) => state.contractId,
+          contract: (state) => {
+            if (state.contract && typeof state.contract === "function") {
+              return state.contract();
+            }
+
+            return null;
+          },
+          contractSyncing: (state) => state.contractSyncing,
+          // JSON schema of each document type in the contract, keyed by type
+          schemas: (state, getters) => {
+            return getters.contract?.toJSON().documents || {};
+          },
+          // Compiled validators for each document type in the contract
+          validators: (state, getters) => {
+            return compileSchemas(getters.schemas);
+          },
+          status: (state) => (action) => state.status[action] || "idle",
+          lastError: (state) => state.lastError,
+        },
+        mutations: {
+          contract: (state, payload) => {
+            state.contract = payload;
+          },
+          contractSyncing: (state, payload) => {
+            state.contractSyncing = payload;
+          },
+          status: (state, { action, status }) => {
+            state.status = { ...state.status, [action]: status };
+          },
+          lastError: (state, payload) => {
+            state.lastError = payload;
+          },
+        },
+        actions: nestable({
+          contractInit: tracked(
+            "contractInit",
+            async ({ commit, rootGetters, state }) => {
+              commit("contractSyncing", true);
+
+              try {
+                const contract = await rootGetters[
+                  `${namespace}/client`
+                ].platform.contracts.get(state.contractId);
+
+                commit("contract", () => contract);
+              } finally {
+                commit("contractSyncing", false);
+              }
+            }
+          ),
+        }),
+      });
+
+      // Failures are recorded in the module's status state
+      store.dispatch(`${namespace}/${alias}/contractInit`).catch(noop);
+    };
+
+    // Register a module for one document type at `path` within the namespace.
+    // `alias` and `contractId` are those of its contract in the `contracts` option, or null for the `contractId` option.
+    const registerDocument = (path, { config, alias, contractId }) => {
+      const document = config.name;
+      // Where the schemas for the contract are, and the name that the client knows the contract by
+      const contractPath = alias ? `${namespace}/${alias}` : namespace;
+      const app = alias || "Contract";
+
+      registered = { ...registered, [path]: { config, alias, contractId } };
+
+      // Timer and handle for the current `watch` loop, if any
+      let timer = null;
+      let polling = null;
+      // Timer for the next attempt at replaying the offline queue
+      let retrying = null;
+
+      // Replay the offline queue later, waiting twice as long after each failed attempt at the write at its head
+      const retryLater = (dispatch, { retry = {} }, attempts) => {
+        const { delay = RETRY_DELAY, maxDelay = MAX_RETRY_DELAY } = retry;
+
+        clearTimeout(retrying);
+        retrying = setTimeout(() => {
+          retrying = null;
+          dispatch("flush");
+        }, Math.min(delay * 2 ** (attempts - 1), maxDelay));
+      };
+
+      store.registerModule([namespace, ...path.split("/")], {
+        namespaced: true,
+        state: {
+          // Settings for this document type
+          config,
+
+          documents: {},
+
+          // When documents were last fetched from Platform, and whether the ones in state only came from the cache since
+          lastFetched: null,
+          stale: false,
+
+          // Poll interval while the module is watching for changes, otherwise false
+          watching: false,
+
+          // Progress of loading documents a page at a time
+          pageCount: 0,
+          hasMore: true,
+          cursor: null,
+          loading: false,
+
+          // Progress of the last `broadcast`, in state transitions, with the documents that weren't sent if one failed
+          batchesTotal: 0,
+          batchesDone: 0,
+          failed: [],
+          remaining: null,
+
+          // Writes waiting to be broadcast, in the order they were made
+          pending: [],
+          flushing: false,
+
+          // Sync status of documents that have been changed optimistically, keyed by `$id`
+          syncStatuses: {},
+
+          // Status of each action, and details of the last failure
+          status: {},
+          lastError: null,
+        },
+        getters: {
+          config: (state) => state.config,
+
+          // Query for fetching all documents of this type, before pagination is applied
+          allQuery: (state, getters, rootState, rootGetters) => {
+            const options = rootGetters[`${namespace}/options`];
+            const allQuery = state.config.allQuery ?? options.allQuery;
+
+            return {
+              ...(typeof allQuery === "function"
+                ? allQuery(options)
+                : allQuery),
+              ...(state.config.orderBy
+                ? { orderBy: state.config.orderBy }
+                : {}),
+            };
+          },
+          pageSize: (state) => {
+            return Math.min(state.config.pageSize, MAX_DOCUMENTS_PER_QUERY);
+          },
+
+          all: (state) => state.documents,
+          one: (state) => (id) => state.documents?.[id],
+          // Run a `platform.documents.get` style query against the documents in state, without a limit by default
+          query: (state) => (query) => {
+            return runQuery(state.documents, query, state.config.indexes);
+          },
+          // DPNS name of the owner of a document, once it has been looked up with `lookupNames`
+          nameOf: (state, getters, rootState, rootGetters) => (id) => {
+            return rootGetters[`${namespace}/names/nameOf`](
+              state.documents?.[id]?.$ownerId
+            );
+          },
+          // Settings for each relation, keyed by field
+          relations: (state) => {
+            return mapValues(state.config.relations, relationConfig);
+          },
+          // A document with the documents it refers to joined in, as set by the `relations` setting.
+          // Related documents that haven't been loaded are null, the `populate` action fetches them.
+          populated: (state, getters, rootState, rootGetters) => (id) => {
+            return populate(
+              state.documents?.[id],
+              getters.relations,
+              rootGetters
+            );
+          },
+          allPopulated: (state, getters, rootState, rootGetters) => {
+            return mapValues(state.documents, (document) =>
+              populate(document, getters.relations, rootGetters)
+            );
+          },
+          lastFetched: (state) => state.lastFetched,
+          stale: (state) => state.stale,
+          watching: (state) => state.watching,
+          pageCount: (state) => state.pageCount,
+          hasMore: (state) => state.hasMore,
+          loading: (state) => state.loading,
+          pending: (state) => state.pending,
+          hasPending: (state) => state.pending.length > 0,
+          batchesTotal: (state) => state.batchesTotal,
+          batchesDone: (state) => state.batchesDone,
+          failed: (state) => state.failed,
+          // What a broadcast that failed part way through didn't send, as a "multiple" write of plain content, or null.
+          // Created documents get new IDs when it is made, and replaced ones overwrite whatever is on Platform by then.
+          unsent: (state) => {
+            if (!state.batchesDone || !state.remaining) {
+              return null;
+            }
+
+            const { create, replace, delete: deleted } = state.remaining();
+            const content = (document) => {
+              return pickBy(document.toJSON(), (value, key) => {
+                return !startsWith(key, "$");
+              });
+            };
+
+            return {
+              type: "multiple",
+              payload: [
+                ...map(create, content),
+                ...map(replace, (document) => ({
+                  $id: document.toJSON().$id,
+                  ...content(document),
+                })),
+                ...map(deleted, (document) => ({ $id: document.toJSON().$id })),
+              ],
+            };
+          },
+
+          // One of "saving", "queued" or "failed" while a write is unconfirmed, otherwise "synced" for known documents
+          syncStatus: (state) => (id) => {
+            if (state.syncStatuses[id]) {
+              return state.syncStatuses[id];
+            }
+
+            return state.documents?.[id] ? "synced" : null;
+          },
+          status: (state) => (action) => state.status[action] || "idle",
+          lastError: (state) => state.lastError,
+
+          // Key for anything persisted for this document type, scoped to the current network and its contract
+          storageKey: (state, getters, rootState, rootGetters) => (
+            ...parts
+          ) => {
+            if (!alias) {
+              return rootGetters[`${namespace}/storageKey`](document, ...parts);
+            }
+
+            const { network } = rootGetters[`${namespace}/options`];
+
+            return [namespace, network, contractId, document, ...parts].join(
+              "/"
+            );
+          },
+          // JSON schema for this document type, once the contract has been fetched
+          schema: (state, getters, rootState, rootGetters) => {
+            return rootGetters[`${contractPath}/schemas`][document] || null;
+          },
+          // Check document content against the schema, ignoring system fields such as `$id`.
+          // Returns `{ valid, errors }`, where `errors` has a message for each invalid field.
+          // Anything counts as valid until the contract has been fetched, Platform still validates it when it's broadcast.
+          validate: (state, getters, rootState, rootGetters) => (
+            payload = {}
+          ) => {
+            const validator =
+              rootGetters[`${contractPath}/validators`][document];
+
+            if (
+              !validator ||
+              validator(pickBy(payload, (value, key) => !startsWith(key, "$")))
+            ) {
+              return { valid: true, errors: {} };
+            }
+
+            return { valid: false, errors: fieldErrors(validator.errors) };
+          },
+        },
+        mutations: {
+          all: (state, payload) => {
+            const documents = keyBy(invokeMap(payload, "toJSON"), "$id");
+            state.documents = documents;
+          },
+          lastFetched: (state, payload) => {
+            state.lastFetched = payload;
+          },
+          stale: (state, payload) => {
+            state.stale = payload;
+          },
+          watching: (state, payload) => {
+            state.watching = payload;
+          },
+          loading: (state, payload) => {
+            state.loading = payload;
+          },
+          // Add a page of documents to the ones already loaded
+          page: (state, { documents, cursor, hasMore }) => {
+            state.documents = {
+              ...state.documents,
+              ...keyBy(invokeMap(documents, "toJSON"), "$id"),
+            };
+            state.pageCount += 1;
+            state.cursor = cursor;
+            state.hasMore = hasMore;
+          },
+          // Start paging from the beginning again, or stop paging once everything has been loaded
+          pages: (state, { pageCount = 0, hasMore = true } = {}) => {
+            state.pageCount = pageCount;
+            state.hasMore = hasMore;
+            state.cursor = null;
+          },
+          // Apply the differences found by polling, which are also passed to the `onRemoteChanges` hook
+          changes: (state, { added, changed, removed }) => {
+            state.documents = {
+              ...omit(state.documents, removed),
+              ...keyBy([...added, ...changed], "$id"),
+            };
+          },
+          // Take documents from the cache, which are already plain objects
+          hydrate: (state, { documents, lastFetched }) => {
+            state.documents = documents;
+            state.lastFetched = lastFetched;
+            state.stale = true;
+          },
+          // Forget everything held for the previous network and contract
+          reset: (state) => {
+            state.documents = {};
+            state.lastFetched = null;
+            state.stale = false;
+            state.pending = [];
+            state.syncStatuses = {};
+            state.pageCount = 0;
+            state.hasMore = true;
+            state.cursor = null;
+          },
+          // Record the progress of a broadcast, and what was left when it failed
+          batches: (
+            state,
+            {
+              total = state.batchesTotal,
+              done = state.batchesDone,
+              failed = state.failed,
+              remaining = state.remaining,
+            }
+          ) => {
+            state.batchesTotal = total;
+            state.batchesDone = done;
+            state.failed = failed;
+            state.remaining = remaining;
+          },
+          one: (state, payload) => {
+            const document = payload.toJSON();
+            state.documents = {
+              ...state.documents,
+              [document.$id]: document,
+            };
+          },
+          remove: (state, payload) => {
+            const document = payload.toJSON();
+            state.documents = {
+              ...omit(state.documents, document.$id),
+            };
+          },
+          pending: (state, payload) => {
+            state.pending = payload;
+          },
+          flushing: (state, payload) => {
+            state.flushing = payload;
+          },
+          status: (state, { action, status }) => {
+            state.status = { ...state.status, [action]: status };
+          },
+          lastError: (state, payload) => {
+            state.lastError = payload;
+          },
+
+          // Set or, when `null`, remove document entries and sync statuses by `$id`
+          patch: (state, { documents = {}, syncStatuses = {} }) => {
+            state.documents = omitBy(
+              { ...state.documents, ...documents },
+              isNil
+            );
+            state.syncStatuses = omitBy(
+              { ...state.syncStatuses, ...syncStatuses },
+              isNil
+            );
+          },
+
+          // Clear an optimistic change once Platform has confirmed it.
+          // Confirmed documents are committed separately, so only placeholders for created documents need removing.
+          confirm: (state, snapshot) => {
+            if (!snapshot) {
+              return;
+            }
+
+            state.documents = omit(state.documents, snapshot.created);
+            state.syncStatuses = omit(
+              state.syncStatuses,
+              keys(snapshot.previous)
+            );
+          },
+
+          // Restore the documents touched by an optimistic change and mark them as failed.
+          // Placeholders for created documents are removed along with their sync status.
+          rollback: (state, snapshot) => {
+            if (!snapshot) {
+              return;
+            }
+
+            each(keys(snapshot.previous), (id) => {
+              state.documents = snapshot.previous[id]
+                ? { ...state.documents, [id]: snapshot.previous[id] }
+                : omit(state.documents, id);
+              state.syncStatuses = includes(snapshot.created, id)
+                ? omit(state.syncStatuses, id)
+                : { ...state.syncStatuses, [id]: "failed" };
+            });
+          },
+        },
+        actions: nestable({
+          // Helper that wraps the "retrieve" action with a query to fetch all documents.
+          // The `allQuery`, `orderBy` and `pageSize` parameters can be customised per document type or in plugin options.
+          all: tracked("all", async ({ dispatch, commit, getters }) => {
+            const all = await dispatch("retrieveAll");
+
+            commit("all", all);
+            commit("pages", {
+              pageCount: Math.ceil(all.length / getters.pageSize),
+              hasMore: false,
+            });
+            commit("lastFetched", Date.now());
+            commit("stale", false);
+            dispatch("cache");
+
+            return all;
+          }),
+
+          // Fetch a single page of documents and add them to the ones already loaded.
+          // `payload` can set where the page starts with `startAt` or `startAfter`, otherwise it is the first page.
+          loadPage: tracked(
+            "loadPage",
+            async ({ commit, dispatch, getters, state }, payload = {}) => {
+              commit("loading", true);
+
+              try {
+                const documents = await dispatch("retrieve", {
+                  ...getters.allQuery,
+                  limit: getters.pageSize,
+                  ...payload,
+                });
+                const last = documents[documents.length - 1]?.toJSON();
+
+                commit("page", {
+                  documents,
+                  cursor: state.config.cursorBy
+                    ? last?.[state.config.cursorBy] ?? state.cursor
+                    : null,
+                  hasMore: documents.length === getters.pageSize,
+                });
+                dispatch("cache");
+
+                return documents;
+              } finally {
+                commit("loading", false);
+              }
+            }
+          ),
+
+          // Load the page after the last one that was loaded, e.g. for infinite scrolling.
+          // Resolves to an empty list when there is nothing more to load or a page is already loading.
+          loadMore: async ({ dispatch, getters, state }) => {
+            if (!state.hasMore || state.loading) {
+              return [];
+            }
+
+            if (!state.pageCount) {
+              return dispatch("loadPage");
+            }
+
+            return dispatch(
+              "loadPage",
+              state.config.cursorBy
+                ? { startAfter: state.cursor }
+                : { startAt: state.pageCount * getters.pageSize }
+            );
+          },
+
+          // Helper to wrap the "retrieve" action to return the first document matching the `id` passed in the payload.
+          // Resolves to `undefined` if there is no such document.
+          one: tracked("one", async ({ dispatch, commit }, payload = null) => {
+            const one = await dispatch("find", payload);
+
+            if (one) {
+              commit("one", one);
+              dispatch("cache");
+            }
+
+            return one;
+          }),
+
+          // Fetch the documents with the IDs in `payload` that aren't in state yet, and add them to the ones already loaded.
+          // IDs are fetched with `in` queries, as many at a time as a query can return.
+          many: tracked(
+            "many",
+            async ({ commit, dispatch, state }, payload = []) => {
+              const ids = difference(
+                uniq(compact(payload)),
+                keys(state.documents)
+              );
+              const pages = await Promise.all(
+                map(chunk(ids, MAX_DOCUMENTS_PER_QUERY), (page) =>
+                  dispatch("retrieve", {
+                    where: [["$id", "in", page]],
+                    orderBy: [["$id", "asc"]],
+                    limit: MAX_DOCUMENTS_PER_QUERY,
+                  })
+                )
+              );
+              const documents = flatten(pages);
+
+              if (documents.length) {
+                commit("changes", {
+                  added: invokeMap(documents, "toJSON"),
+                  changed: [],
+                  removed: [],
+                });
+                dispatch("cache");
+              }
+
+              return documents;
+            }
+          ),
+
+          // Fetch whatever the documents in state refer to through their relations, and isn't loaded yet, with `many` for each type.
+          // Identities have their DPNS names looked up. `payload` lists the IDs of the documents to populate, otherwise it's all of them.
+          // Resolves to the populated documents.
+          populate: tracked(
+            "populate",
+            async ({ dispatch, getters, state }, payload = null) => {
+              const documents = filter(
+                state.documents,
+                ({ $id }) => !payload || includes(payload, $id)
+              );
+              // IDs that the documents refer to, keyed by type
+              const referenced = reduce(
+                getters.relations,
+                (result, { document: type }, field) => {
+                  result[type] = [
+                    ...(result[type] || []),
+                    ...flatMap(documents, field),
+                  ];
+                  return result;
+                },
+                {}
+              );
+
+              await Promise.all(
+                map(referenced, (ids, type) => {
+                  if (type === IDENTITY) {
+                    return dispatch(`${namespace}/names/lookup`, ids, {
+                      root: true,
+                    });
                   }
-                } catch (e) {
-                  console.debug(e);
-                }
-              },
 
-              // Create a new document. `payload` is the content of the document to create.
-              create: async ({ commit, dispatch }, payload = {}) => {
-                try {
-                  const created = await dispatch("compose", payload);
+                  if (!store.hasModule([namespace, ...type.split("/")])) {
+                    throw new Error(`Unknown document type "${type}"`);
+                  }
 
-                  const success = await dispatch("broadcast", {
-                    create: [created],
+                  return dispatch(`${namespace}/${type}/many`, ids, {
+                    root: true,
                   });
+                })
+              );
+
+              return map(documents, ({ $id }) => getters.populated($id));
+            }
+          ),
+
+          // Fetch a single document by `$id` without committing it, e.g. to change it without undoing an optimistic change in state
+          find: async ({ dispatch }, payload = null) => {
+            return head(
+              await dispatch("retrieve", {
+                where: [["$id", "==", payload]],
+              })
+            );
+          },
+
+          // Retrieve every page of documents matching a query, without committing them. `payload` defaults to the `allQuery`.
+          retrieveAll: async ({ dispatch, getters }, payload = null) => {
+            let all = [];
+            let page = 0;
+
+            while (all.length >= page * getters.pageSize) {
+              const query = {
+                ...(payload || getters.allQuery),
+                startAt: page * getters.pageSize,
+                limit: getters.pageSize,
+              };
+
+              all = [...all, ...(await dispatch("retrieve", query))];
+
+              page++;
+            }
+
+            return all;
+          },
 
-                  if (success) {
-                    commit("one", created);
+          // Check Platform for documents that were added, changed or removed since they were last fetched, and commit only the differences.
+          // Documents with unconfirmed local changes are left alone.
+          poll: tracked(
+            "poll",
+            async ({ commit, dispatch, getters, rootGetters, state }) => {
+              const { pollBy } = state.config;
+              const since = pollBy ? max(map(state.documents, pollBy)) : null;
+              const query = since
+                ? {
+                    ...getters.allQuery,
+                    where: [
+                      ...(getters.allQuery.where || []),
+                      [pollBy, ">", since],
+                    ],
+                    orderBy: [[pollBy, "asc"]],
                   }
-                } catch (e) {
-                  console.debug(e);
+                : getters.allQuery;
+
+              const unconfirmed = keys(state.syncStatuses);
+              const fetched = keyBy(
+                invokeMap(await dispatch("retrieveAll", query), "toJSON"),
+                "$id"
+              );
+              const changes = diffDocuments(
+                omit(state.documents, unconfirmed),
+                omit(fetched, unconfirmed),
+                { removals: !since }
+              );
+
+              if (
+                changes.added.length ||
+                changes.changed.length ||
+                changes.removed.length
+              ) {
+                commit("changes", changes);
+                dispatch("cache");
+                notifyHooks(
+                  rootGetters[`${namespace}/options`],
+                  "onRemoteChanges",
+                  changes,
+                  { document }
+                );
+              }
+
+              commit("lastFetched", Date.now());
+              commit("stale", false);
+
+              return changes;
+            }
+          ),
+
+          // Start polling for changes, every `payload.interval` milliseconds or the type's `pollInterval`.
+          // Polling is skipped while the page is hidden, and stops when the module is unregistered.
+          // Use the `onRemoteChanges` hook to hear about the documents that each poll added, changed or removed.
+          watch: ({ commit, dispatch, state }, payload = {}) => {
+            const interval = payload.interval ?? state.config.pollInterval;
+            const current = {};
+
+            const tick = async () => {
+              if (!(typeof window !== "undefined" && window.document.hidden)) {
+                // Failures are recorded in the status state, and the next poll tries again
+                await dispatch("poll").catch(noop);
+              }
+
+              if (polling === current) {
+                timer = setTimeout(tick, interval);
+              }
+            };
+
+            clearTimeout(timer);
+            polling = current;
+            timer = setTimeout(tick, interval);
+
+            commit("watching", interval);
+          },
+
+          // Stop polling for changes.
+          unwatch: ({ commit }) => {
+            clearTimeout(timer);
+            timer = null;
+            polling = null;
+
+            commit("watching", false);
+          },
+
+          // Stop polling and retrying the offline queue, before the module is removed or the client disconnected.
+          // Queued writes are kept, and replayed on the next `flush`.
+          stop: async ({ dispatch }) => {
+            clearTimeout(retrying);
+            retrying = null;
+
+            await dispatch("unwatch");
+          },
+
+          // Look up the DPNS names of the owners of every document in state
+          lookupNames: async ({ dispatch, state }) => {
+            return dispatch(
+              `${namespace}/names/lookup`,
+              map(state.documents, "$ownerId"),
+              { root: true }
+            );
+          },
+
+          // Retrieve from documents. `payload` is a query.
+          retrieve: tracked(
+            "retrieve",
+            async ({ rootGetters }, payload = {}) => {
+              return await rootGetters[
+                `${namespace}/client`
+              ].platform.documents.get(`${app}.${document}`, payload);
+            }
+          ),
+
+          // Rejects with the errors for each field if the content doesn't match the schema.
+          // The content goes through the `beforeCompose` hooks first.
+          compose: tracked(
+            "compose",
+            async ({ dispatch, rootGetters }, payload = {}) => {
+              return dispatch(
+                "build",
+                await runHooks(
+                  rootGetters[`${namespace}/options`],
+                  "beforeCompose",
+                  payload,
+                  { document }
+                )
+              );
+            }
+          ),
+
+          // Compose a document from content that has already been through the `beforeCompose` hooks
+          build: async ({ getters, rootGetters }, payload = {}) => {
+            const client = rootGetters[`${namespace}/client`];
+            const { valid, errors } = getters.validate(payload);
+
+            if (!valid) {
+              throw invalidDocument(document, errors);
+            }
+
+            return await client.platform.documents.create(
+              `${app}.${document}`,
+              rootGetters[`${namespace}/identity`],
+              payload
+            );
+          },
+
+          // Create a new document. `payload` is the content of the document to create.
+          create: tracked("create", async ({ dispatch }, payload = {}) => {
+            return dispatch("write", { type: "create", payload });
+          }),
+
+          // Replace a document. `payload` is the content of the document to replace and must include an `$id`.
+          replace: tracked("replace", async ({ dispatch }, payload = {}) => {
+            return dispatch("write", { type: "replace", payload });
+          }),
+
+          // Delete a document. `payload` must include an `$id`.
+          delete: tracked("delete", async ({ dispatch }, payload = {}) => {
+            return dispatch("write", { type: "delete", payload });
+          }),
+
+          // Create, replace or delete several documents at once. `payload` is an array of documents.
+          // Documents with only an `$id` are deleted, documents with an `$id` and content are replaced, anything else is created.
+          multiple: tracked("multiple", async ({ dispatch }, payload = []) => {
+            return dispatch("write", { type: "multiple", payload });
+          }),
+
+          // Run a write straight away, or add it to the offline queue when the client is unreachable.
+          // Writes are also queued while earlier ones are still pending, so that they reach Platform in order.
+          // Resolves to `false` when the write was queued without trying, and rejects when trying failed.
+          // A failed write stays queued, and is retried along with the rest of the queue, unless retrying it would fail again.
+          // Invalid content is rejected straight away instead, with the errors for each field.
+          write: async (
+            { commit, dispatch, getters, rootGetters },
+            request
+          ) => {
+            const { type } = request;
+            const options = rootGetters[`${namespace}/options`];
+
+            // Run the `beforeCompose` hooks on created documents once, here, so that what is validated and queued is what gets composed
+            const beforeCompose = (item) => {
+              return runHooks(options, "beforeCompose", item, { document });
+            };
+            const payload = {
+              ...request,
+              payload:
+                type === "multiple"
+                  ? await Promise.all(
+                      map(request.payload, (item) =>
+                        writeType(item) === "create"
+                          ? beforeCompose(item)
+                          : item
+                      )
+                    )
+                  : type === "create"
+                  ? await beforeCompose(request.payload)
+                  : request.payload,
+            };
+            const items =
+              type === "multiple" ? payload.payload : [payload.payload];
+
+            each(items, (item) => {
+              const itemType = type === "multiple" ? writeType(item) : type;
+              const { valid, errors } = getters.validate(item);
+
+              if (itemType !== "delete" && !valid) {
+                throw invalidDocument(document, errors);
+              }
+            });
+
+            const attempt =
+              rootGetters[`${namespace}/online`] && !getters.hasPending;
+            const snapshot = rootGetters[`${namespace}/options`].optimistic
+              ? await dispatch("predict", {
+                  ...payload,
+                  status: attempt ? "saving" : "queued",
+                })
+              : null;
+
+            if (attempt) {
+              try {
+                const result = await dispatch("apply", {
+                  ...payload,
+                  snapshot,
+                });
+
+                commit("confirm", snapshot);
+                dispatch("cache");
+
+                return result;
+              } catch (e) {
+                if (!retryable(e, 1, options)) {
+                  commit("rollback", snapshot);
+
+                  throw e;
                 }
-              },
 
-              // Replace a document. `payload` is the content of the document to replace and must include an `$id`.
-              replace: async ({ dispatch, commit }, payload = {}) => {
-                try {
-                  const replaced = await dispatch("one", payload.$id);
+                await dispatch("enqueue", {
+                  ...(await dispatch("remainder", { ...payload, snapshot })),
+                  attempts: 1,
+                });
+                retryLater(dispatch, options, 1);
 
-                  replaced.setData(payload);
+                throw e;
+              }
+            }
 
-                  const success = await dispatch("broadcast", {
-                    replace: [replaced],
-                  });
+            await dispatch("enqueue", { ...payload, snapshot });
+            dispatch("flush");
 
-                  if (success) {
-                    commit("one", replaced);
-                  }
-                } catch (e) {
-                  console.debug(e);
+            return false;
+          },
+
+          // Apply a write operation against Platform. Unlike the public write actions, this throws when the write fails.
+          // `snapshot` is the state before the write was predicted, for settling conflicts against the version that was edited.
+          apply: async (
+            { commit, dispatch, rootGetters },
+            { type, payload, snapshot } = {}
+          ) => {
+            // Changes are signed by the identity, so load it first if it hasn't been
+            if (
+              !rootGetters[`${namespace}/identity`] &&
+              rootGetters[`${namespace}/options`].identityId
+            ) {
+              await dispatch(`${namespace}/identityInit`, null, { root: true });
+            }
+
+            if (!rootGetters[`${namespace}/identity`]) {
+              throw missingIdentity();
+            }
+
+            // Clear what an earlier broadcast left, so that it isn't taken for what this write didn't send
+            commit("batches", {
+              total: 0,
+              done: 0,
+              failed: [],
+              remaining: null,
+            });
+
+            switch (type) {
+              case "create": {
+                const created = await dispatch("build", payload);
+
+                await dispatch("broadcast", {
+                  create: [created],
+                });
+
+                return true;
+              }
+
+              case "replace": {
+                const replaced = await dispatch("reconcile", {
+                  payload,
+                  base: snapshot?.previous[payload.$id],
+                });
+
+                await dispatch("broadcast", {
+                  replace: [replaced],
+                });
+
+                return true;
+              }
+
+              case "delete": {
+                const deleted = await dispatch("find", payload.$id);
+
+                if (!deleted) {
+                  throw notFound(document, payload.$id);
                 }
-              },
 
-              // Delete a document. `payload` must include an `$id`.
-              delete: async ({ dispatch, commit }, payload = {}) => {
-                try {
-                  const deleted = await dispatch("one", payload.$id);
+                await dispatch("broadcast", {
+                  delete: [deleted],
+                });
 
-                  const success = await dispatch("broadcast", {
-                    delete: [deleted],
-                  });
+                return true;
+              }
+
+              case "multiple": {
+                const documents = {
+                  create: [],
+                  replace: [],
+                  delete: [],
+                };
+
+                // Everything is prepared first, then broadcast in as many parts as the payload limits need
+                for (const item of payload) {
+                  const type = writeType(item);
+
+                  if (type === "delete") {
+                    const deleted = await dispatch("find", item.$id);
+
+                    if (!deleted) {
+                      throw notFound(document, item.$id);
+                    }
 
-                  if (success) {
-                    commit("remove", deleted);
+                    documents.delete.push(deleted);
+                  } else if (type === "replace") {
+                    const replaced = await dispatch("reconcile", {
+                      payload: item,
+                      base: snapshot?.previous[item.$id],
+                    });
+
+                    documents.replace.push(replaced);
+                  } else {
+                    const created = await dispatch("build", item);
+
+                    documents.create.push(created);
                   }
-                } catch (e) {
-                  console.debug(e);
                 }
-              },
 
-              // Broadcast a set of documents. Payload is an object with create, replace and or delete keys.
-              broadcast: async ({ dispatch, rootGetters }, payload = {}) => {
-                try {
-                  const { remainder, included } = regulatePayload(payload);
-
-                  if (
-                    included.create.length ||
-                    included.replace.length ||
-                    included.delete.length
-                  ) {
-                    const client = rootGetters[`${namespace}/client`];
-
-                    await client.platform.documents.broadcast(
-                      included,
-                      rootGetters[`${namespace}/identity`]
-                    );
-                  }
+                await dispatch("broadcast", documents);
 
-                  if (
-                    remainder.create.length ||
-                    remainder.replace.length ||
-                    remainder.delete.length
-                  ) {
-                    return dispatch("broadcast", remainder);
-                  }
+                return true;
+              }
+            }
+
+            throw new Error(`Unknown write type "${type}"`);
+          },
+
+          // Fetch a document and set the data from `payload` on it, ready to be broadcast as a replacement.
+          // When `payload` has the `$revision` it was edited from and the document has changed on Platform since,
+          // the conflict is settled by the `conflicts` setting. `base` is the version that was edited, if known.
+          reconcile: tracked(
+            "reconcile",
+            async (
+              { dispatch, rootGetters, state },
+              { payload, base = state.documents[payload.$id] } = {}
+            ) => {
+              const existing = await dispatch("find", payload.$id);
+
+              if (!existing) {
+                throw notFound(document, payload.$id);
+              }
+
+              const local = pickBy(
+                payload,
+                (value, key) => !startsWith(key, "$")
+              );
+
+              if (
+                isNil(payload.$revision) ||
+                existing.getRevision() === payload.$revision
+              ) {
+                existing.setData(local);
+
+                return existing;
+              }
+
+              const remote = existing.toJSON();
+              const edited =
+                base?.$revision === payload.$revision ? base : null;
+              const strategy =
+                state.config.conflicts ??
+                rootGetters[`${namespace}/options`].conflicts;
+
+              if (typeof strategy === "function") {
+                existing.setData(
+                  await strategy({ local, remote, base: edited })
+                );
+              } else if (strategy === "overwrite") {
+                existing.setData(local);
+              } else if (strategy === "merge") {
+                existing.setData({
+                  ...omitBy(remote, (value, key) => startsWith(key, "$")),
+                  ...pickBy(
+                    local,
+                    (value, key) => !edited || !isEqual(edited[key], value)
+                  ),
+                });
+              } else {
+                throw conflict(document, { ...payload }, remote);
+              }
+
+              return existing;
+            }
+          ),
+
+          // Apply a write to the local state before Platform confirms it.
+          // Returns a snapshot of the previous state of every affected document, for confirming or rolling back the change later.
+          predict: ({ commit, state }, { type, payload, status }) => {
+            const items = type === "multiple" ? payload : [payload];
+            const snapshot = { previous: {}, created: [] };
+            const documents = {};
+
+            each(items, (item) => {
+              const itemType = type === "multiple" ? writeType(item) : type;
+              const id = itemType === "create" ? placeholderId() : item.$id;
+
+              snapshot.previous[id] = state.documents[id] || null;
+
+              if (itemType === "create") {
+                snapshot.created.push(id);
+                documents[id] = { ...item, $id: id };
+              } else if (itemType === "replace") {
+                documents[id] = {
+                  ...state.documents[id],
+                  ...pickBy(item, (value, key) => !startsWith(key, "$")),
+                };
+              } else {
+                documents[id] = null;
+              }
+            });
+
+            commit("patch", {
+              documents,
+              syncStatuses: mapValues(snapshot.previous, () => status),
+            });
+
+            return snapshot;
+          },
+
+          // The write to retry after `payload`, a write with its snapshot, failed to broadcast.
+          // When it failed part way through, the documents that were broadcast are already in state and on Platform,
+          // so only the rest is retried, to avoid writing them twice. Optimistic changes stay, marked as queued.
+          remainder: async ({ commit, dispatch, getters }, payload) => {
+            const { unsent } = getters;
+            const { snapshot } = payload;
+
+            if (!unsent) {
+              if (snapshot) {
+                commit("patch", {
+                  syncStatuses: mapValues(snapshot.previous, () => "queued"),
+                });
+              }
+
+              return payload;
+            }
+
+            commit("confirm", snapshot);
+            commit("batches", { remaining: null });
+
+            return {
+              ...unsent,
+              snapshot: snapshot
+                ? await dispatch("predict", { ...unsent, status: "queued" })
+                : null,
+            };
+          },
 
-                  return true;
+          // Add a write to the end of the offline queue and persist it.
+          enqueue: async ({ commit, dispatch, state }, payload) => {
+            commit("pending", [
+              ...state.pending,
+              { ...payload, queuedAt: Date.now() },
+            ]);
+
+            await dispatch("persist");
+          },
+
+          // Replay queued writes in order, stopping at the first one that still fails and trying again later.
+          // Writes that retrying can't fix, such as conflicts or deleting a document that no longer exists, are rolled back and dropped,
+          // so that they don't hold up the rest of the queue. Their errors are in the status state.
+          flush: async (context) => {
+            const { commit, dispatch, state, rootGetters } = context;
+            const options = rootGetters[`${namespace}/options`];
+
+            if (state.flushing || !rootGetters[`${namespace}/online`]) {
+              return false;
+            }
+
+            commit("flushing", true);
+            clearTimeout(retrying);
+            retrying = null;
+
+            while (state.pending.length) {
+              const write = head(state.pending);
+
+              try {
+                await dispatch("apply", write);
+              } catch (e) {
+                const attempts = (write.attempts || 0) + 1;
+
+                if (!retryable(e, attempts, options)) {
+                  report(context, "flush", e);
+                  commit("rollback", write.snapshot);
+                  commit("pending", state.pending.slice(1));
+                  await dispatch("persist");
+                  continue;
+                }
+
+                commit("pending", [
+                  { ...(await dispatch("remainder", write)), attempts },
+                  ...state.pending.slice(1),
+                ]);
+                await dispatch("persist");
+                retryLater(dispatch, options, attempts);
+                break;
+              }
+
+              commit("confirm", write.snapshot);
+              commit("pending", state.pending.slice(1));
+              await dispatch("persist");
+              dispatch("cache");
+            }
+
+            commit("flushing", false);
+
+            return !state.pending.length;
+          },
+
+          // Load everything saved for the current network and contract, then bring it up to date with Platform.
+          // Cached documents are shown while they are fetched again, and any queued writes are sent.
+          // The cache only holds confirmed documents, so optimistic writes restored from the queue are applied to them again.
+          start: async ({ commit, dispatch, state }) => {
+            const [restored] = await Promise.all([
+              dispatch("restore"),
+              dispatch("hydrate"),
+            ]);
+
+            if (some(restored, "snapshot")) {
+              const predicted = [];
+
+              for (const write of restored) {
+                predicted.push(
+                  write.snapshot
+                    ? {
+                        ...write,
+                        snapshot: await dispatch("predict", {
+                          ...write,
+                          status: "queued",
+                        }),
+                      }
+                    : write
+                );
+              }
+
+              commit("pending", [
+                ...predicted,
+                ...state.pending.slice(restored.length),
+              ]);
+              await dispatch("persist");
+            }
+
+            dispatch("flush");
+
+            if (state.config.autoLoad) {
+              await dispatch("all");
+            }
+          },
+
+          // Drop the cached documents for a previous network and contract, and start over with the current ones.
+          // `payload` is the module's storage key for the previous network and contract.
+          // Queued writes stay saved under that key, and are sent once it is the current one again.
+          invalidate: async (context, payload) => {
+            const { commit, dispatch, state, rootGetters } = context;
+            const storage = rootGetters[`${namespace}/storage`];
+
+            clearTimeout(retrying);
+            retrying = null;
+
+            try {
+              await storage.setItem(`${payload}/pending`, state.pending);
+              await storage.removeItem(`${payload}/documents`);
+            } catch (e) {
+              report(context, "invalidate", e);
+            }
+
+            commit("reset");
+
+            await dispatch("start");
+          },
+
+          // Load documents cached by a previous session, unless they have already been fetched from Platform in the meantime.
+          hydrate: async (context) => {
+            const { commit, getters, state, rootGetters } = context;
+
+            if (!rootGetters[`${namespace}/options`].cache) {
+              return;
+            }
+
+            try {
+              const cached = await rootGetters[`${namespace}/storage`].getItem(
+                getters.storageKey("documents")
+              );
+
+              if (cached && !state.lastFetched) {
+                commit("hydrate", cached);
+              }
+            } catch (e) {
+              report(context, "hydrate", e);
+            }
+          },
+
+          // Save the documents that Platform has confirmed, for the next session.
+          cache: async (context) => {
+            const { getters, state, rootGetters } = context;
+
+            if (!rootGetters[`${namespace}/options`].cache) {
+              return;
+            }
+
+            try {
+              await rootGetters[`${namespace}/storage`].setItem(
+                getters.storageKey("documents"),
+                {
+                  documents: omit(state.documents, keys(state.syncStatuses)),
+                  lastFetched: state.lastFetched,
+                }
+              );
+            } catch (e) {
+              report(context, "cache", e);
+            }
+          },
+
+          // Load the offline queue saved by a previous session, ahead of anything queued since.
+          // Resolves to the writes that were restored.
+          restore: async (context) => {
+            const { commit, getters, state, rootGetters } = context;
+
+            try {
+              const pending =
+                (await rootGetters[`${namespace}/storage`].getItem(
+                  getters.storageKey("pending")
+                )) || [];
+
+              commit("pending", [...pending, ...state.pending]);
+
+              return pending;
+            } catch (e) {
+              report(context, "restore", e);
+
+              return [];
+            }
+          },
+
+          // Save the offline queue so that it survives a reload.
+          persist: async (context) => {
+            const { getters, state, rootGetters } = context;
+
+            try {
+              await rootGetters[`${namespace}/storage`].setItem(
+                getters.storageKey("pending"),
+                state.pending
+              );
+            } catch (e) {
+              report(context, "persist", e);
+            }
+          },
+
+          // Broadcast a set of documents. Payload is an object with create, replace and or delete keys.
+          // Documents are split into as many state transitions as the payload limits need, and committed to state as each one lands.
+          // Resolves to `true` once everything has been broadcast. If a part fails, the rest can be sent with `resume`.
+          broadcast: tracked(
+            "broadcast",
+            async ({ commit, rootGetters }, payload = {}) => {
+              const options = rootGetters[`${namespace}/options`];
+              const client = rootGetters[`${namespace}/client`];
+              const batches = [];
+
+              // Fill in missing operations so that checking their lengths below doesn't throw
+              const documents = {
+                create: [],
+                replace: [],
+                delete: [],
+                ...(await runHooks(options, "beforeBroadcast", payload, {
+                  document,
+                })),
+              };
+              let remaining = documents;
+
+              while (
+                remaining.create.length ||
+                remaining.replace.length ||
+                remaining.delete.length
+              ) {
+                const { included, remainder } = regulatePayload(
+                  remaining,
+                  options.payloadLimits
+                );
+
+                batches.push(included);
+                remaining = remainder;
+              }
+
+              commit("batches", {
+                total: batches.length,
+                done: 0,
+                failed: [],
+                remaining: null,
+              });
+
+              for (const [index, batch] of batches.entries()) {
+                try {
+                  await client.platform.documents.broadcast(
+                    batch,
+                    rootGetters[`${namespace}/identity`]
+                  );
                 } catch (e) {
-                  console.debug(e);
+                  const left = mergeWith(
+                    {},
+                    ...batches.slice(index),
+                    (items = [], more) => [...items, ...more]
+                  );
+
+                  commit("batches", {
+                    failed: invokeMap(
+                      [...left.create, ...left.replace, ...left.delete],
+                      "toJSON"
+                    ),
+                    remaining: () => left,
+                  });
+
+                  throw e;
                 }
 
-                return false;
-              },
-            },
-          });
+                each([...batch.create, ...batch.replace], (document) => {
+                  commit("one", document);
+                });
+                each(batch.delete, (document) => {
+                  commit("remove", document);
+                });
+                commit("batches", { done: index + 1 });
+              }
+
+              notifyHooks(options, "afterBroadcast", documents, {
+                document,
+              });
+
+              return true;
+            }
+          ),
+
+          // Broadcast whatever was left over when a `broadcast` failed part way through
+          resume: async ({ dispatch, state }) => {
+            if (!state.remaining) {
+              return true;
+            }
+
+            return dispatch("broadcast", state.remaining());
+          },
+        }),
+      });
+
+      // Failures are recorded in the module's status state
+      store.dispatch(`${namespace}/${path}/start`).catch(noop);
+
+      // Switching network or contract makes everything held by the module out of date.
+      // Aliased contracts only go out of date with the network, their modules are replaced when their contract changes.
+      // Modules registered by the same change already started with the new key, so they aren't started twice.
+      unwatchKeys = {
+        ...unwatchKeys,
+        [path]: store.watch(
+          (state, getters) => getters[`${namespace}/${path}/storageKey`](),
+          (key, previousKey) => {
+            store
+              .dispatch(`${namespace}/${path}/invalidate`, previousKey)
+              .catch(noop);
+          }
+        ),
+      };
+    };
+
+    store.watch(
+      (state) => documentModules(state[namespace].options),
+      (modules) => {
+        const contracts = store.getters[`${namespace}/contracts`];
+
+        // Remove modules for document types that were dropped, or whose settings or contract changed
+        each(registered, (current, path) => {
+          if (!isEqual(modules[path], current)) {
+            unwatchKeys[path]();
+            unwatchKeys = omit(unwatchKeys, path);
+            store.dispatch(`${namespace}/${path}/stop`);
+            store.unregisterModule([namespace, ...path.split("/")]);
+            registered = omit(registered, path);
+          }
         });
 
-        store.dispatch(`${namespace}/all`);
-      }
+        // Contract modules are replaced when their contract ID changes, once their document types have been removed above
+        each(aliases, (contractId, alias) => {
+          if (contracts[alias]?.contractId !== contractId) {
+            store.unregisterModule([namespace, alias]);
+            aliases = omit(aliases, alias);
+          }
+        });
+
+        each(contracts, ({ contractId }, alias) => {
+          if (!aliases[alias]) {
+            registerContract(alias, contractId);
+          }
+        });
+
+        // Dynamically create a module for each document type that isn't registered yet
+        each(modules, (module, path) => {
+          if (!registered[path]) {
+            registerDocument(path, module);
+          }
+        });
+      },
+      { immediate: true }
     );
 
+    // Mutations of document modules that change their documents
+    const documentMutations = [
+      "all",
+      "changes",
+      "one",
+      "remove",
+      "patch",
+      "confirm",
+      "rollback",
+      "hydrate",
+      "reset",
+    ];
+
+    // Let the hooks know when documents, the account or the identity change
+    store.subscribe(({ type, payload }) => {
+      const options = store.getters[`${namespace}/options`];
+      const [prefix, ...path] = type.split("/");
+      const mutation = path.pop();
+      // Document types of aliased contracts are named by their path, e.g. "social/post"
+      const document = path.join("/");
+
+      if (prefix !== namespace) {
+        return;
+      }
+
+      if (type === `${namespace}/accountSynced` && payload) {
+        notifyHooks(
+          options,
+          "onAccountSynced",
+          store.getters[`${namespace}/account`]
+        );
+      } else if (type === `${namespace}/identitySynced` && payload) {
+        notifyHooks(
+          options,
+          "onIdentitySynced",
+          store.getters[`${namespace}/identity`]
+        );
+      } else if (
+        registered[document] &&
+        includes(documentMutations, mutation)
+      ) {
+        notifyHooks(
+          options,
+          "onDocumentsChanged",
+          store.getters[`${namespace}/${document}/all`],
+          { document }
+        );
+      }
+    });
+
+    // Connection details the client was last created with, to tell when updated options need a new connection
+    let connection = store.getters[`${namespace}/connection`];
+
     // Subscribe to root store mutations and sync root state values and getters to the plugin options.
+    // Options that change the connection details connect again, so that the connection state reflects the new client.
     store.subscribe(({ type }, state) => {
       if (type === `${namespace}/updateOptions`) {
-        store.dispatch(`${namespace}/init`);
+        const previous = connection;
+
+        connection = store.getters[`${namespace}/connection`];
+
+        if (
+          !isEqual(previous, connection) &&
+          store.getters[`${namespace}/connectionState`] !== "disconnected"
+        ) {
+          store.dispatch(`${namespace}/connect`).catch(noop);
+        } else {
+          store.dispatch(`${namespace}/init`);
+        }
       } else if (includes(fromRoot, type)) {
         const combined = { ...state, ...store.getters };
         const updatedOptions = reduce(
           subscriptions,
           (result, value, key) => {
-            result[key] = combined[value];
+            // Fields listed in an array sync to the option of the same name, an object can map option names to differently named fields
+            result[isArray(subscriptions) ? value : key] = combined[value];
             return result;
           },
           {}
@@ -645,6 +3106,23 @@ export default (config) => {
       }
     });
 
-    store.dispatch(`${namespace}/init`);
+    // Track connectivity so that queued writes are replayed as soon as the connection comes back.
+    if (typeof window !== "undefined") {
+      window.addEventListener("online", () => {
+        store.commit(`${namespace}/online`, true);
+
+        if (store.getters[`${namespace}/connectionState`] === "error") {
+          store.dispatch(`${namespace}/connect`).catch(noop);
+        } else {
+          store.dispatch(`${namespace}/flush`);
+        }
+      });
+      window.addEventListener("offline", () => {
+        store.commit(`${namespace}/online`, false);
+      });
+    }
+
+    // Failures are recorded in the status state
+    store.dispatch(`${namespace}/connect`).catch(noop);
   };
 };
@@ -0,0 +1,171 @@
+/**
+ * @jest-environment jsdom
+ */
+import { TextEncoder } from "util";
+import Vue, { ref } from "vue";
+import Vuex from "vuex";
+import { map } from "lodash-es";
+import createFakeClient from "../src/fake-client";
+import createDashDpp from "../src/vuex-dash-dpp";
+import {
+  useDashDocument,
+  useDashDocuments,
+  useDashIdentity,
+} from "../src/composables";
+import { dashDocument, dashDocuments } from "../src/mixins";
+
+jest.mock("dash", () => ({ Client: jest.fn() }));
+
+jest.mock("localforage", () => {
+  const items = new Map();
+
+  return {
+    getItem: async (key) => items.get(key) ?? null,
+    setItem: async (key, value) => items.set(key, value) && value,
+    removeItem: async (key) => items.delete(key),
+  };
+});
+
+// Browsers have it, but the version of jsdom that jest uses doesn't
+global.TextEncoder = TextEncoder;
+
+Vue.config.productionTip = false;
+Vue.config.devtools = false;
+Vue.use(Vuex);
+
+const settle = () => new Promise((resolve) => setTimeout(resolve));
+
+const createStore = (documents = []) => {
+  const client = createFakeClient({
+    identities: { identity: { balance: 1000 } },
+    documents: { "Contract.note": documents },
+  });
+
+  return new Vuex.Store({
+    plugins: [
+      createDashDpp({
+        contractId: "contract",
+        identityId: "identity",
+        cache: false,
+        clientFactory: () => client,
+        documents: [{ name: "note", autoLoad: false }],
+      }),
+    ],
+  });
+};
+
+// Mount a component without a template, and return its instance
+const mount = (store, component) => {
+  return new Vue({ store, render: () => null, ...component }).$mount();
+};
+
+describe("composables", () => {
+  it("load documents on mount and bind the write actions", async () => {
+    const store = createStore([
+      { $id: "first", text: "One" },
+      { $id: "second", text: "Two" },
+    ]);
+    const vm = mount(store, {
+      setup: () => ({
+        notes: useDashDocuments("note"),
+        filtered: useDashDocuments("note", {
+          where: [["text", "==", "Two"]],
+        }),
+      }),
+    });
+
+    await settle();
+
+    expect(map(vm.notes.documents.value, "$id")).toEqual(["first", "second"]);
+    expect(map(vm.filtered.documents.value, "$id")).toEqual(["second"]);
+    expect(vm.notes.loading.value).toBe(false);
+
+    await store.dispatch("dash/identityInit");
+    await vm.notes.create({ text: "Three" });
+
+    expect(vm.notes.documents.value).toHaveLength(3);
+  });
+
+  it("follow the ID of a single document", async () => {
+    const store = createStore([
+      { $id: "first", text: "One" },
+      { $id: "second", text: "Two" },
+    ]);
+    const id = ref("first");
+    const vm = mount(store, {
+      setup: () => ({ note: useDashDocument("note", id) }),
+    });
+
+    await settle();
+
+    expect(vm.note.document.value.text).toBe("One");
+
+    id.value = "second";
+    await settle();
+
+    expect(vm.note.document.value.text).toBe("Two");
+  });
+
+  it("only report errors until the failed action succeeds", async () => {
+    const store = createStore([{ $id: "first", text: "One" }]);
+    const client = store.getters["dash/client"];
+
+    client.offline = true;
+
+    const vm = mount(store, {
+      setup: () => ({ notes: useDashDocuments("note") }),
+    });
+
+    await settle();
+
+    expect(vm.notes.error.value).toMatchObject({ action: "all" });
+
+    client.offline = false;
+    await vm.notes.load();
+
+    expect(vm.notes.error.value).toBeNull();
+    expect(store.getters["dash/note/lastError"]).not.toBeNull();
+  });
+
+  it("load the identity on mount", async () => {
+    const store = createStore();
+    const vm = mount(store, {
+      setup: () => ({ current: useDashIdentity() }),
+    });
+
+    await settle();
+
+    expect(vm.current.identity.value.getId()).toBe("identity");
+    expect(vm.current.identityId.value).toBe("identity");
+  });
+});
+
+describe("mixins", () => {
+  it("add the documents and bound actions as a computed property", async () => {
+    const store = createStore([{ $id: "first", text: "One" }]);
+    const vm = mount(store, {
+      mixins: [dashDocuments("note", { as: "notes" })],
+    });
+
+    await settle();
+
+    expect(map(vm.notes.documents, "$id")).toEqual(["first"]);
+
+    await store.dispatch("dash/identityInit");
+    await vm.notes.delete("first");
+
+    expect(vm.notes.documents).toEqual([]);
+  });
+
+  it("fetch a single document by ID", async () => {
+    const store = createStore([{ $id: "first", text: "One" }]);
+    const vm = mount(store, {
+      data: () => ({ noteId: "first" }),
+      mixins: [dashDocument("note", { id: (vm) => vm.noteId })],
+    });
+
+    await settle();
+
+    expect(vm.note.document.text).toBe("One");
+  });
+});
@@ -0,0 +1,105 @@
+import Vue from "vue";
+import { createPinia, defineStore, PiniaVuePlugin } from "pinia";
+import { keys, map } from "lodash-es";
+import createFakeClient from "../src/fake-client";
+import { createDashPinia } from "../src/pinia";
+
+jest.mock("dash", () => ({ Client: jest.fn() }));
+
+Vue.use(PiniaVuePlugin);
+
+const settle = () => new Promise((resolve) => setTimeout(resolve));
+
+const createClient = () => {
+  return createFakeClient({
+    identities: { identity: { balance: 1000 }, other: { balance: 50 } },
+    documents: {
+      "Contract.note": [
+        { $id: "first", text: "One" },
+        { $id: "second", text: "Two" },
+      ],
+    },
+  });
+};
+
+const createDash = (options = {}, pinia = createPinia()) => {
+  const client = createClient();
+
+  return createDashPinia(pinia, {
+    contractId: "contract",
+    identityId: "identity",
+    cache: false,
+    clientFactory: () => client,
+    documents: ["note"],
+    ...options,
+  });
+};
+
+describe("pinia", () => {
+  it("makes each document type a store with the same actions", async () => {
+    const dash = createDash();
+
+    await settle();
+
+    const notes = dash.useDocuments("note");
+
+    expect(keys(notes.documents)).toEqual(["first", "second"]);
+    expect(notes.lastFetched).not.toBeNull();
+
+    await dash.useDash().identityInit();
+    await notes.multiple([{ text: "Three" }, { $id: "first" }]);
+
+    expect(map(notes.documents, "text")).toEqual(["Two", "Three"]);
+    expect(dash.store.getters["dash/note/one"]("second").text).toBe("Two");
+  });
+
+  it("runs transactions that replace documents", async () => {
+    const dash = createDash();
+
+    await settle();
+    await dash.useDash().identityInit();
+    await dash.useDash().transaction({
+      note: [{ $id: "first", text: "Changed" }, { text: "Three" }],
+    });
+
+    expect(map(dash.useDocuments("note").documents, "text")).toEqual([
+      "Changed",
+      "Two",
+      "Three",
+    ]);
+  });
+
+  it("registers stores for document types added to the options", async () => {
+    const dash = createDash();
+
+    expect(() => dash.useDocuments("tag")).toThrow(
+      'Unknown document type "tag"'
+    );
+
+    dash.store.commit("dash/updateOptions", { documents: ["note", "tag"] });
+    await settle();
+
+    expect(dash.useDocuments("tag").documents).toEqual({});
+    expect(dash.useDash().documentPaths).toEqual(["note", "tag"]);
+  });
+
+  it("syncs options from another store", async () => {
+    const pinia = createPinia();
+    const useSession = defineStore("session", {
+      state: () => ({ current: "identity" }),
+    });
+    const dash = createDash(
+      { subscribeToFrom: [{ identityId: "current" }, useSession] },
+      pinia
+    );
+
+    await dash.useDash().identityInit();
+
+    useSession(pinia).current = "other";
+    await settle();
+    await dash.useDash().identityInit();
+
+    expect(dash.useDash().options.identityId).toBe("other");
+    expect(dash.useDash().identity.getId()).toBe("other");
+  });
+});
@@ -0,0 +1,1800 @@
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import Vue from "vue";
+import Vuex from "vuex";
+import { keys, map, noop, range, uniq } from "lodash-es";
+import createDashDpp from "../src/vuex-dash-dpp";
+import { DashDppError } from "../src/errors";
+import createFakeClient from "../src/fake-client";
+import createFileStorage from "../src/file-storage";
+import { createMemoryStorage } from "../src/storage";
+
+// The tests only ever talk to the fake client
+jest.mock("dash", () => ({ Client: jest.fn() }));
+
+// There is no IndexedDB in Node, so keep anything the plugin persists in memory
+jest.mock("localforage", () => {
+  const items = new Map();
+
+  return {
+    getItem: async (key) => items.get(key) ?? null,
+    setItem: async (key, value) => items.set(key, value) && value,
+    removeItem: async (key) => items.delete(key),
+  };
+});
+
+Vue.use(Vuex);
+
+// Let any actions dispatched in the background finish
+const settle = () => new Promise((resolve) => setTimeout(resolve));
+
+// Let actions started by fake timers finish, without waiting on the timers themselves
+const flushPromises = () => {
+  return new Promise(jest.requireActual("timers").setImmediate);
+};
+
+// Load the identity, which is otherwise only fetched once something asks for it, and wait for documents to load
+const ready = async (store) => {
+  await store.dispatch("dash/identityInit");
+  await settle();
+};
+
+// Text of every note stored by the client
+const texts = async (client) => {
+  return map(
+    await client.platform.documents.get("Contract.note"),
+    (note) => note.getData().text
+  );
+};
+
+const notes = (count, fields = {}) =>
+  map(range(count), (index) => ({ $id: `note${index}`, index, ...fields }));
+
+const createStore = (options = {}, client = createFakeClient()) => {
+  const store = new Vuex.Store({
+    state: { identity: null },
+    getters: { identityId: (state) => state.identity },
+    mutations: {
+      identity: (state, payload) => {
+        state.identity = payload;
+      },
+    },
+    plugins: [
+      createDashDpp({
+        contractId: "contract",
+        identityId: "identity",
+        cache: false,
+        clientFactory: () => client,
+        ...options,
+      }),
+    ],
+  });
+
+  return store;
+};
+
+const createClient = (documents = []) => {
+  const client = createFakeClient({
+    identities: { identity: { balance: 1000 } },
+    documents: { "Contract.note": documents },
+  });
+
+  jest.spyOn(client.platform.documents, "get");
+  jest.spyOn(client.platform.documents, "broadcast");
+
+  return client;
+};
+
+describe("all", () => {
+  it("fetches every page before committing", async () => {
+    const client = createClient(notes(250));
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+
+    expect(map(client.platform.documents.get.mock.calls, "1")).toEqual([
+      { startAt: 0, limit: 100 },
+      { startAt: 100, limit: 100 },
+      { startAt: 200, limit: 100 },
+    ]);
+    expect(keys(store.getters["dash/note/all"])).toHaveLength(250);
+  });
+
+  it("asks for one more page when the last one is full", async () => {
+    const client = createClient(notes(200));
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+
+    expect(client.platform.documents.get).toHaveBeenCalledTimes(3);
+    expect(keys(store.getters["dash/note/all"])).toHaveLength(200);
+  });
+
+  it("uses the settings of each document type", async () => {
+    const client = createClient([
+      ...notes(3, { $ownerId: "identity" }),
+      { $id: "other", $ownerId: "someone" },
+    ]);
+    const store = createStore(
+      {
+        documents: [
+          {
+            name: "note",
+            pageSize: 2,
+            allQuery: ({ identityId }) => ({
+              where: [["$ownerId", "==", identityId]],
+            }),
+          },
+        ],
+      },
+      client
+    );
+
+    await ready(store);
+
+    expect(client.platform.documents.get).toHaveBeenCalledTimes(2);
+    expect(keys(store.getters["dash/note/all"])).toEqual([
+      "note0",
+      "note1",
+      "note2",
+    ]);
+  });
+});
+
+describe("broadcast", () => {
+  it("splits payloads with more than 10 documents", async () => {
+    const client = createClient();
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+
+    const created = await Promise.all(
+      map(notes(25), ({ index }) =>
+        store.dispatch("dash/note/compose", { index })
+      )
+    );
+
+    await store.dispatch("dash/note/broadcast", { create: created });
+
+    expect(
+      map(client.platform.documents.broadcast.mock.calls, ([payload]) => [
+        payload.create.length,
+        payload.replace.length,
+        payload.delete.length,
+      ])
+    ).toEqual([
+      [10, 0, 0],
+      [10, 0, 0],
+      [5, 0, 0],
+    ]);
+  });
+
+  it("splits payloads larger than 4 kilobytes", async () => {
+    const client = createClient();
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+
+    const created = await Promise.all(
+      map(range(3), () =>
+        store.dispatch("dash/note/compose", { text: "x".repeat(1500) })
+      )
+    );
+
+    await store.dispatch("dash/note/broadcast", { create: created });
+
+    expect(
+      map(client.platform.documents.broadcast.mock.calls, "0.create.length")
+    ).toEqual([2, 1]);
+  });
+
+  it("fills payloads with smaller documents that come after one that didn't fit", async () => {
+    const client = createClient();
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+
+    const created = await Promise.all(
+      map(["x", "x".repeat(3000), "x".repeat(1500), "x"], (text) =>
+        store.dispatch("dash/note/compose", { text })
+      )
+    );
+
+    await store.dispatch("dash/note/broadcast", { create: created });
+
+    expect(
+      map(client.platform.documents.broadcast.mock.calls, ([payload]) =>
+        map(payload.create, (document) => document.getData().text.length)
+      )
+    ).toEqual([[1, 3000, 1], [1500]]);
+  });
+
+  it("uses the payload limits from the options", async () => {
+    const client = createClient();
+    const store = createStore(
+      { documents: ["note"], payloadLimits: { documents: 4 } },
+      client
+    );
+
+    await ready(store);
+    await store.dispatch(
+      "dash/note/multiple",
+      map(range(10), (index) => ({ index }))
+    );
+
+    expect(
+      map(client.platform.documents.broadcast.mock.calls, "0.create.length")
+    ).toEqual([4, 4, 2]);
+    expect(store.getters["dash/note/batchesTotal"]).toBe(3);
+    expect(store.getters["dash/note/batchesDone"]).toBe(3);
+  });
+
+  it("records what wasn't sent when a part fails, and resumes from there", async () => {
+    const client = createClient();
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+
+    client.platform.documents.broadcast
+      .mockImplementationOnce(async () => true)
+      .mockRejectedValueOnce(new Error("Broadcast failed"));
+
+    const created = await Promise.all(
+      map(range(25), (index) => store.dispatch("dash/note/compose", { index }))
+    );
+
+    await expect(
+      store.dispatch("dash/note/broadcast", { create: created })
+    ).rejects.toThrow("Broadcast failed");
+
+    expect(store.getters["dash/note/batchesDone"]).toBe(1);
+    expect(store.getters["dash/note/failed"]).toHaveLength(15);
+    expect(keys(store.getters["dash/note/all"])).toHaveLength(10);
+
+    await store.dispatch("dash/note/resume");
+
+    expect(store.getters["dash/note/batchesDone"]).toBe(2);
+    expect(keys(store.getters["dash/note/all"])).toHaveLength(25);
+  });
+
+  it("only queues what wasn't sent when a part of a write fails", async () => {
+    const client = createFakeClient({
+      identities: { identity: { balance: 1000 } },
+    });
+    const { broadcast } = client.platform.documents;
+
+    jest
+      .spyOn(client.platform.documents, "broadcast")
+      .mockImplementationOnce(broadcast)
+      .mockRejectedValueOnce(new Error("Broadcast failed"));
+
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+
+    await expect(
+      store.dispatch(
+        "dash/note/multiple",
+        map(range(15), (index) => ({ index }))
+      )
+    ).rejects.toThrow("Broadcast failed");
+
+    expect(keys(store.getters["dash/note/all"])).toHaveLength(10);
+    expect(store.getters["dash/note/pending"]).toHaveLength(1);
+    expect(store.getters["dash/note/pending"][0].payload).toHaveLength(5);
+
+    await store.dispatch("dash/note/flush");
+
+    expect(await client.platform.documents.get("Contract.note")).toHaveLength(
+      15
+    );
+    expect(keys(store.getters["dash/note/all"])).toHaveLength(15);
+    expect(store.getters["dash/note/pending"]).toEqual([]);
+  });
+
+  it("keeps creates, replaces and deletes apart across batches", async () => {
+    const client = createClient(notes(12));
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+
+    const documents = await store.dispatch("dash/note/retrieve", {});
+
+    await store.dispatch("dash/note/broadcast", {
+      replace: documents.slice(0, 8),
+      delete: documents.slice(8),
+    });
+
+    expect(
+      map(client.platform.documents.broadcast.mock.calls, ([payload]) => [
+        payload.replace.length,
+        payload.delete.length,
+      ])
+    ).toEqual([
+      [8, 2],
+      [0, 2],
+    ]);
+  });
+});
+
+describe("multiple", () => {
+  it("creates, replaces and deletes in one go", async () => {
+    const client = createClient(notes(2));
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+
+    await store.dispatch("dash/note/multiple", [
+      { text: "new" },
+      { $id: "note0", text: "changed" },
+      { $id: "note1" },
+    ]);
+
+    const all = store.getters["dash/note/all"];
+
+    expect(all.note0.text).toBe("changed");
+    expect(all.note1).toBeUndefined();
+    expect(map(all, "text")).toContain("new");
+  });
+
+  it("writes the remainder once the first batch has been broadcast", async () => {
+    const client = createClient();
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+
+    await store.dispatch(
+      "dash/note/multiple",
+      map(range(15), (index) => ({ index }))
+    );
+
+    expect(client.platform.documents.broadcast).toHaveBeenCalledTimes(2);
+    expect(keys(store.getters["dash/note/all"])).toHaveLength(15);
+  });
+});
+
+describe("offline queue", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("drops writes that retrying can't fix instead of holding up the queue", async () => {
+    const client = createClient();
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+
+    await expect(
+      store.dispatch("dash/note/delete", { $id: "missing" })
+    ).rejects.toMatchObject({ code: "NOT_FOUND" });
+    expect(await store.dispatch("dash/note/create", { text: "Hello" })).toBe(
+      true
+    );
+
+    expect(store.getters["dash/note/pending"]).toEqual([]);
+    expect(await texts(client)).toEqual(["Hello"]);
+  });
+
+  it("retries failed writes in order, waiting longer after each attempt", async () => {
+    const client = createClient();
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+    jest.useFakeTimers();
+    client.offline = true;
+
+    await expect(
+      store.dispatch("dash/note/create", { text: "First" })
+    ).rejects.toThrow("Fake client is offline");
+    expect(await store.dispatch("dash/note/create", { text: "Second" })).toBe(
+      false
+    );
+    await flushPromises();
+
+    expect(store.getters["dash/note/pending"]).toHaveLength(2);
+    expect(store.getters["dash/note/pending"][0].attempts).toBe(2);
+
+    jest.advanceTimersByTime(1999);
+    await flushPromises();
+    client.offline = false;
+
+    expect(store.getters["dash/note/pending"]).toHaveLength(2);
+
+    jest.advanceTimersByTime(1);
+    await flushPromises();
+
+    expect(store.getters["dash/note/pending"]).toEqual([]);
+    expect(await texts(client)).toEqual(["First", "Second"]);
+  });
+
+  it("drops writes after the retry limit", async () => {
+    const client = createClient();
+    const store = createStore(
+      { documents: ["note"], retry: { limit: 2 } },
+      client
+    );
+
+    await ready(store);
+    jest.useFakeTimers();
+    client.offline = true;
+
+    await expect(
+      store.dispatch("dash/note/create", { text: "Hello" })
+    ).rejects.toThrow("Fake client is offline");
+
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+
+    expect(store.getters["dash/note/pending"]).toEqual([]);
+    expect(store.getters["dash/note/status"]("flush")).toBe("error");
+  });
+
+  it("replays the queue saved by a previous session", async () => {
+    const client = createClient();
+    const storage = createMemoryStorage();
+    const options = { documents: ["note"], storage };
+    const previous = createStore(options, client);
+
+    await ready(previous);
+    client.offline = true;
+
+    await previous.dispatch("dash/note/create", { text: "First" }).catch(noop);
+    await previous.dispatch("dash/note/create", { text: "Second" });
+    await settle();
+    await previous.dispatch("dash/disconnect");
+
+    client.offline = false;
+
+    const store = createStore(options, client);
+
+    await ready(store);
+
+    expect(store.getters["dash/note/pending"]).toEqual([]);
+    expect(await texts(client)).toEqual(["First", "Second"]);
+  });
+});
+
+describe("optimistic", () => {
+  it("shows a write straight away and confirms it once broadcast", async () => {
+    const client = createClient(notes(1, { text: "Hello" }));
+    let seen = null;
+    const store = createStore(
+      {
+        documents: ["note"],
+        optimistic: true,
+        hooks: {
+          beforeBroadcast: () => {
+            seen = {
+              text: store.getters["dash/note/one"]("note0").text,
+              status: store.getters["dash/note/syncStatus"]("note0"),
+            };
+          },
+        },
+      },
+      client
+    );
+
+    await ready(store);
+    await store.dispatch("dash/note/replace", {
+      $id: "note0",
+      text: "Changed",
+    });
+
+    expect(seen).toEqual({ text: "Changed", status: "saving" });
+    expect(store.getters["dash/note/syncStatus"]("note0")).toBe("synced");
+    expect(store.getters["dash/note/one"]("note0").text).toBe("Changed");
+  });
+
+  it("keeps a write that failed to broadcast as queued until it is replayed", async () => {
+    const client = createClient();
+    const store = createStore(
+      { documents: ["note"], optimistic: true },
+      client
+    );
+
+    await ready(store);
+    client.offline = true;
+
+    await expect(
+      store.dispatch("dash/note/create", { text: "Hello" })
+    ).rejects.toThrow("Fake client is offline");
+
+    const [placeholder] = keys(store.getters["dash/note/all"]);
+
+    expect(store.getters["dash/note/syncStatus"](placeholder)).toBe("queued");
+
+    client.offline = false;
+    await store.dispatch("dash/note/flush");
+
+    const [created] = keys(store.getters["dash/note/all"]);
+
+    expect(created).not.toBe(placeholder);
+    expect(store.getters["dash/note/syncStatus"](created)).toBe("synced");
+    expect(store.state.dash.note.syncStatuses).toEqual({});
+  });
+
+  it("applies writes queued by a previous session again", async () => {
+    const client = createClient();
+    const storage = createMemoryStorage();
+    const options = { documents: ["note"], optimistic: true, storage };
+    const previous = createStore(options, client);
+
+    await ready(previous);
+    client.offline = true;
+
+    await previous.dispatch("dash/note/create", { text: "Hello" }).catch(noop);
+    await previous.dispatch("dash/disconnect");
+
+    const store = createStore(options, client);
+
+    await settle();
+    await store.dispatch("dash/note/create", { text: "Other" });
+    await settle();
+
+    const placeholders = keys(store.getters["dash/note/all"]);
+
+    expect(map(store.getters["dash/note/all"], "text")).toEqual([
+      "Hello",
+      "Other",
+    ]);
+    expect(uniq(placeholders)).toHaveLength(2);
+    expect(map(placeholders, store.getters["dash/note/syncStatus"])).toEqual([
+      "queued",
+      "queued",
+    ]);
+
+    client.offline = false;
+    await store.dispatch("dash/note/flush");
+
+    expect(await texts(client)).toEqual(["Hello", "Other"]);
+    expect(map(store.getters["dash/note/all"], "text")).toEqual([
+      "Hello",
+      "Other",
+    ]);
+    expect(store.state.dash.note.syncStatuses).toEqual({});
+  });
+
+  it("rolls back writes that retrying can't fix", async () => {
+    const client = createClient(notes(1, { text: "Hello" }));
+    const store = createStore(
+      {
+        documents: ["note"],
+        optimistic: true,
+        hooks: { beforeBroadcast: () => false },
+      },
+      client
+    );
+
+    await ready(store);
+
+    await expect(
+      store.dispatch("dash/note/replace", { $id: "note0", text: "Changed" })
+    ).rejects.toMatchObject({ code: "CANCELLED" });
+    await expect(
+      store.dispatch("dash/note/create", { text: "New" })
+    ).rejects.toMatchObject({ code: "CANCELLED" });
+
+    expect(keys(store.getters["dash/note/all"])).toEqual(["note0"]);
+    expect(store.getters["dash/note/one"]("note0").text).toBe("Hello");
+    expect(store.state.dash.note.syncStatuses).toEqual({ note0: "failed" });
+    expect(store.getters["dash/note/pending"]).toEqual([]);
+  });
+});
+
+describe("options", () => {
+  it("syncs options from the root store through subscribeToFrom", async () => {
+    const client = createClient();
+    const store = createStore(
+      { identityId: null, subscribeToFrom: [["identityId"], ["identity"]] },
+      client
+    );
+
+    store.commit("identity", "identity");
+
+    expect(store.getters["dash/options"].identityId).toBe("identity");
+  });
+
+  it("maps differently named root fields to options", async () => {
+    const client = createClient();
+    const store = createStore(
+      {
+        identityId: null,
+        subscribeToFrom: [{ identityId: "identity" }, ["identity"]],
+      },
+      client
+    );
+
+    store.commit("identity", "identity");
+
+    expect(store.getters["dash/options"].identityId).toBe("identity");
+  });
+
+  it("only registers and unregisters the document types that changed", async () => {
+    const client = createClient(notes(1));
+    const store = createStore({ documents: ["note", "category"] }, client);
+
+    await ready(store);
+
+    const note = store.state.dash.note;
+
+    store.commit("dash/updateOptions", { documents: ["note", "tag"] });
+    await settle();
+
+    expect(store.state.dash.note).toBe(note);
+    expect(store.state.dash.category).toBeUndefined();
+    expect(store.state.dash.tag).toBeDefined();
+    expect(store.hasModule(["dash", "tag"])).toBe(true);
+  });
+
+  it("re-registers a document type when its settings change", async () => {
+    const client = createClient(notes(1));
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+
+    store.commit("dash/updateOptions", {
+      documents: [{ name: "note", autoLoad: false }],
+    });
+    await settle();
+
+    expect(store.getters["dash/note/config"].autoLoad).toBe(false);
+    expect(store.getters["dash/note/all"]).toEqual({});
+  });
+});
+
+describe("loadMore", () => {
+  it("loads one page at a time until there are no more", async () => {
+    const client = createClient(notes(5));
+    const store = createStore(
+      { documents: [{ name: "note", pageSize: 2, autoLoad: false }] },
+      client
+    );
+
+    await ready(store);
+
+    await store.dispatch("dash/note/loadMore");
+
+    expect(keys(store.getters["dash/note/all"])).toEqual(["note0", "note1"]);
+    expect(store.getters["dash/note/hasMore"]).toBe(true);
+
+    await store.dispatch("dash/note/loadMore");
+    await store.dispatch("dash/note/loadMore");
+    await store.dispatch("dash/note/loadMore");
+
+    expect(map(client.platform.documents.get.mock.calls, "1.startAt")).toEqual([
+      undefined,
+      2,
+      4,
+    ]);
+    expect(keys(store.getters["dash/note/all"])).toHaveLength(5);
+    expect(store.getters["dash/note/pageCount"]).toBe(3);
+    expect(store.getters["dash/note/hasMore"]).toBe(false);
+  });
+
+  it("pages after the last loaded document with cursorBy", async () => {
+    const client = createClient(notes(3));
+    const store = createStore(
+      {
+        documents: [
+          { name: "note", pageSize: 2, autoLoad: false, cursorBy: "$id" },
+        ],
+      },
+      client
+    );
+
+    await ready(store);
+
+    await store.dispatch("dash/note/loadMore");
+    await store.dispatch("dash/note/loadMore");
+
+    expect(
+      map(client.platform.documents.get.mock.calls, "1.startAfter")
+    ).toEqual([undefined, "note1"]);
+    expect(keys(store.getters["dash/note/all"])).toHaveLength(3);
+    expect(store.getters["dash/note/hasMore"]).toBe(false);
+  });
+});
+
+describe("watch", () => {
+  const polls = (client) => client.platform.documents.get.mock.calls.length;
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete global.window;
+  });
+
+  it("commits only what changed since the last poll", async () => {
+    const client = createClient(notes(2));
+    const onRemoteChanges = jest.fn();
+    const store = createStore(
+      { documents: ["note"], hooks: { onRemoteChanges } },
+      client
+    );
+
+    await ready(store);
+    jest.useFakeTimers();
+    await store.dispatch("dash/note/watch", { interval: 1000 });
+
+    // Another app adds a note and deletes one
+    const identity = await client.platform.identities.get("identity");
+    const [removed] = await client.platform.documents.get("Contract.note");
+    const added = await client.platform.documents.create(
+      "Contract.note",
+      identity,
+      { text: "Elsewhere" }
+    );
+
+    await client.platform.documents.broadcast(
+      { create: [added], delete: [removed] },
+      identity
+    );
+
+    const before = store.getters["dash/note/all"].note1;
+
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+
+    expect(keys(store.getters["dash/note/all"])).toEqual([
+      "note1",
+      added.getId(),
+    ]);
+    expect(store.getters["dash/note/all"].note1).toBe(before);
+    expect(onRemoteChanges).toHaveBeenCalledWith(
+      {
+        added: [expect.objectContaining({ text: "Elsewhere" })],
+        changed: [],
+        removed: ["note0"],
+      },
+      { document: "note" }
+    );
+
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+
+    expect(onRemoteChanges).toHaveBeenCalledTimes(1);
+  });
+
+  it("skips polls while the page is hidden", async () => {
+    const client = createClient(notes(1));
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+    jest.useFakeTimers();
+    global.window = { document: { hidden: true } };
+    await store.dispatch("dash/note/watch", { interval: 1000 });
+
+    const count = polls(client);
+
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+
+    expect(polls(client)).toBe(count);
+
+    global.window.document.hidden = false;
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+
+    expect(polls(client)).toBeGreaterThan(count);
+  });
+
+  it("stops polling when the document type is removed", async () => {
+    const client = createClient(notes(1));
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+    jest.useFakeTimers();
+    await store.dispatch("dash/note/watch", { interval: 1000 });
+
+    store.commit("dash/updateOptions", { documents: [] });
+    await flushPromises();
+
+    const count = polls(client);
+
+    jest.advanceTimersByTime(5000);
+    await flushPromises();
+
+    expect(store.hasModule(["dash", "note"])).toBe(false);
+    expect(polls(client)).toBe(count);
+  });
+
+  it("stops at a cursor document that has been deleted", async () => {
+    const client = createClient(notes(3));
+    const store = createStore(
+      {
+        documents: [
+          { name: "note", pageSize: 2, autoLoad: false, cursorBy: "$id" },
+        ],
+      },
+      client
+    );
+
+    await ready(store);
+    await store.dispatch("dash/note/loadMore");
+
+    const identity = await client.platform.identities.get("identity");
+    const [, cursor] = await client.platform.documents.get("Contract.note");
+
+    await client.platform.documents.broadcast({ delete: [cursor] }, identity);
+    await store.dispatch("dash/note/loadMore");
+
+    expect(keys(store.getters["dash/note/all"])).toEqual(["note0", "note1"]);
+    expect(store.getters["dash/note/hasMore"]).toBe(false);
+  });
+});
+
+describe("validation", () => {
+  const createValidatingStore = () => {
+    const client = createFakeClient({
+      identities: { identity: { balance: 1000 } },
+      contracts: {
+        contract: {
+          documents: {
+            note: {
+              type: "object",
+              properties: {
+                title: { type: "string", maxLength: 10 },
+                body: { type: "string" },
+              },
+              required: ["title"],
+              additionalProperties: false,
+            },
+          },
+        },
+      },
+    });
+
+    jest.spyOn(client.platform.documents, "broadcast");
+
+    return [createStore({ documents: ["note"] }, client), client];
+  };
+
+  it("returns the errors for each field", async () => {
+    const [store] = createValidatingStore();
+
+    await ready(store);
+
+    expect(store.getters["dash/note/validate"]({ title: "Hello" })).toEqual({
+      valid: true,
+      errors: {},
+    });
+    expect(
+      store.getters["dash/note/validate"]({ body: 1, extra: true })
+    ).toEqual({
+      valid: false,
+      errors: {
+        title: expect.any(String),
+        body: expect.any(String),
+        extra: expect.any(String),
+      },
+    });
+  });
+
+  it("rejects invalid documents before they are composed or queued", async () => {
+    const [store, client] = createValidatingStore();
+
+    await ready(store);
+
+    await expect(
+      store.dispatch("dash/note/create", { title: "Far too long a title" })
+    ).rejects.toMatchObject({
+      code: "INVALID_DOCUMENT",
+      errors: { title: expect.any(String) },
+    });
+    expect(client.platform.documents.broadcast).not.toHaveBeenCalled();
+    expect(store.getters["dash/note/pending"]).toEqual([]);
+    expect(store.getters["dash/note/lastError"].code).toBe("INVALID_DOCUMENT");
+  });
+
+  it("leaves types whose schema can't be compiled for Platform to validate", async () => {
+    const client = createFakeClient({
+      identities: { identity: { balance: 1000 } },
+      contracts: {
+        contract: {
+          documents: {
+            note: { $ref: "#/$defs/note" },
+            tag: { type: "object", required: ["name"] },
+          },
+        },
+      },
+    });
+    const store = createStore({ documents: ["note", "tag"] }, client);
+
+    jest.spyOn(console, "debug").mockImplementation(noop);
+
+    await ready(store);
+
+    expect(store.getters["dash/note/validate"]({ text: "Hello" })).toEqual({
+      valid: true,
+      errors: {},
+    });
+    expect(store.getters["dash/tag/validate"]({}).valid).toBe(false);
+
+    await store.dispatch("dash/note/create", { text: "Hello" });
+
+    expect(map(store.getters["dash/note/all"], "text")).toEqual(["Hello"]);
+  });
+});
+
+describe("contracts", () => {
+  const note = {
+    type: "object",
+    properties: { title: { type: "string" } },
+    additionalProperties: false,
+  };
+
+  it("publishes a contract and switches to it", async () => {
+    const client = createClient();
+    const store = createStore({ contractId: null, documents: [] }, client);
+
+    const contract = await store.dispatch("dash/publishContract", { note });
+    const contractId = contract.getId();
+
+    expect(store.getters["dash/options"].contractId).toBe(contractId);
+    expect(store.getters["dash/options"].documents).toEqual(["note"]);
+    expect(store.hasModule(["dash", "note"])).toBe(true);
+    expect(await client.platform.contracts.get(contractId)).not.toBeNull();
+  });
+
+  it("adds document types to the current contract", async () => {
+    const client = createFakeClient({
+      identities: { identity: { balance: 1000 } },
+      contracts: { contract: { documents: { note } } },
+    });
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+    await store.dispatch("dash/updateContract", { tag: note });
+
+    const contract = await client.platform.contracts.get("contract");
+
+    expect(keys(contract.getDocuments())).toEqual(["note", "tag"]);
+    expect(keys(store.getters["dash/schemas"])).toEqual(["note", "tag"]);
+    expect(store.getters["dash/options"].documents).toEqual(["note", "tag"]);
+  });
+
+  it("needs an identity to sign with", async () => {
+    const store = createStore({ identityId: null }, createClient());
+
+    await expect(
+      store.dispatch("dash/publishContract", { note })
+    ).rejects.toMatchObject({ code: "MISSING_IDENTITY" });
+  });
+});
+
+describe("aliased contracts", () => {
+  const schema = {
+    type: "object",
+    properties: { text: { type: "string" } },
+    additionalProperties: false,
+  };
+
+  const createAliasedStore = (contracts) => {
+    const client = createFakeClient({
+      identities: { identity: { balance: 1000 } },
+      contracts: { social: { documents: { post: schema } } },
+      documents: {
+        "Contract.note": notes(1),
+        "social.post": [{ $id: "post1", text: "Hello" }],
+      },
+    });
+
+    return [createStore({ documents: ["note"], contracts }, client), client];
+  };
+
+  it("registers document modules under each alias and routes them to its contract", async () => {
+    const [store, client] = createAliasedStore({
+      social: { contractId: "social", documents: ["post"] },
+    });
+
+    await ready(store);
+
+    expect(keys(store.getters["dash/note/all"])).toEqual(["note0"]);
+    expect(keys(store.getters["dash/social/post/all"])).toEqual(["post1"]);
+    expect(store.getters["dash/social/post/schema"]).toEqual(schema);
+    expect(store.getters["dash/social/post/validate"]({ text: 1 }).valid).toBe(
+      false
+    );
+
+    await store.dispatch("dash/social/post/create", { text: "Hi" });
+
+    expect(
+      map(await client.platform.documents.get("social.post"), (post) =>
+        post.getData()
+      )
+    ).toEqual([{ text: "Hello" }, { text: "Hi" }]);
+    expect(await client.platform.documents.get("Contract.note")).toHaveLength(
+      1
+    );
+  });
+
+  it("only rebuilds the modules of a contract whose ID changes", async () => {
+    const [store] = createAliasedStore({
+      social: { contractId: "social", documents: ["post"] },
+      chat: { contractId: "chat", documents: ["message"] },
+    });
+
+    await ready(store);
+
+    const { note, chat, social } = store.state.dash;
+
+    store.commit("dash/updateOptions", {
+      contracts: {
+        social: { contractId: "social2", documents: ["post"] },
+        chat: { contractId: "chat", documents: ["message"] },
+      },
+    });
+    await settle();
+
+    expect(store.state.dash.note).toBe(note);
+    expect(store.state.dash.chat.message).toBe(chat.message);
+    expect(store.state.dash.social.post).not.toBe(social.post);
+    expect(store.getters["dash/social/contractId"]).toBe("social2");
+    expect(store.getters["dash/social/contract"]).toBeNull();
+  });
+});
+
+describe("identities", () => {
+  const createIdentitiesStore = () => {
+    const client = createFakeClient({
+      identities: { identity: { balance: 1000 }, other: { balance: 50 } },
+    });
+
+    return [createStore({ mnemonic: "mnemonic" }, client), client];
+  };
+
+  it("loads every identity of the wallet account and switches between them", async () => {
+    const [store] = createIdentitiesStore();
+
+    await ready(store);
+    await store.dispatch("dash/identitiesInit");
+
+    expect(keys(store.getters["dash/loadedIdentities"])).toEqual([
+      "identity",
+      "other",
+    ]);
+
+    const identity = await store.dispatch("dash/switchIdentity", "other");
+
+    expect(identity.getId()).toBe("other");
+    expect(store.getters["dash/options"].identityId).toBe("other");
+    expect(store.getters["dash/identity"].getBalance()).toBe(50);
+  });
+
+  it("tops up the credits of the current identity", async () => {
+    const [store] = createIdentitiesStore();
+
+    await ready(store);
+    await store.dispatch("dash/topUp", { amount: 500 });
+
+    expect(store.getters["dash/identity"].getBalance()).toBe(1500);
+  });
+
+  it("selects a newly registered identity", async () => {
+    const [store] = createIdentitiesStore();
+
+    await ready(store);
+
+    const identity = await store.dispatch("dash/register");
+
+    expect(store.getters["dash/options"].identityId).toBe(identity.getId());
+    expect(store.getters["dash/identity"].getId()).toBe(identity.getId());
+    expect(store.getters["dash/loadedIdentities"]).toHaveProperty(
+      identity.getId()
+    );
+  });
+});
+
+describe("names", () => {
+  it("registers and resolves names", async () => {
+    const client = createClient();
+    const store = createStore({}, client);
+
+    await ready(store);
+    await store.dispatch("dash/names/register", "Alice");
+
+    expect(await store.dispatch("dash/names/resolve", "alice.dash")).toBe(
+      "identity"
+    );
+    expect(store.getters["dash/names/nameOf"]("identity")).toBe("alice.dash");
+    expect(store.getters["dash/names/identityIdOf"]("alice")).toBe("identity");
+  });
+
+  it("looks up the names of document owners", async () => {
+    const client = createClient([
+      { $id: "first", $ownerId: "identity" },
+      { $id: "second", $ownerId: "someone" },
+    ]);
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+    await store.dispatch("dash/names/register", "alice");
+    await store.dispatch("dash/note/lookupNames");
+
+    expect(store.getters["dash/note/nameOf"]("first")).toBe("alice.dash");
+    expect(store.getters["dash/note/nameOf"]("second")).toBeNull();
+  });
+});
+
+describe("relations", () => {
+  const createRelationsStore = () => {
+    const client = createFakeClient({
+      identities: { identity: { balance: 1000 } },
+      documents: {
+        "Contract.category": [
+          { $id: "news", name: "News" },
+          { $id: "sport", name: "Sport" },
+          { $id: "travel", name: "Travel" },
+        ],
+        "Contract.post": [
+          {
+            $id: "first",
+            $ownerId: "identity",
+            categoryId: "news",
+            tagIds: ["sport", "travel"],
+          },
+          { $id: "second", $ownerId: "someone", categoryId: "sport" },
+        ],
+      },
+    });
+
+    jest.spyOn(client.platform.documents, "get");
+
+    const store = createStore(
+      {
+        documents: [
+          {
+            name: "post",
+            relations: {
+              categoryId: "category",
+              tagIds: { document: "category", as: "tags" },
+              $ownerId: "$identity",
+            },
+          },
+          { name: "category", autoLoad: false },
+        ],
+      },
+      client
+    );
+
+    return [store, client];
+  };
+
+  it("joins related documents once they are loaded", async () => {
+    const [store] = createRelationsStore();
+
+    await ready(store);
+
+    expect(store.getters["dash/post/populated"]("first").category).toBeNull();
+
+    await store.dispatch("dash/category/one", "news");
+    await store.dispatch("dash/names/register", "alice");
+
+    expect(store.getters["dash/post/populated"]("first")).toMatchObject({
+      categoryId: "news",
+      category: { $id: "news", name: "News" },
+      tags: [null, null],
+      owner: { $id: "identity", name: "alice.dash" },
+    });
+    expect(store.getters["dash/post/allPopulated"].second.category).toBeNull();
+  });
+
+  it("fetches missing related documents in batches", async () => {
+    const [store, client] = createRelationsStore();
+
+    await ready(store);
+    await store.dispatch("dash/category/one", "news");
+    client.platform.documents.get.mockClear();
+
+    const populated = await store.dispatch("dash/post/populate");
+
+    expect(client.platform.documents.get).toHaveBeenCalledTimes(1);
+    expect(client.platform.documents.get).toHaveBeenCalledWith(
+      "Contract.category",
+      expect.objectContaining({ where: [["$id", "in", ["sport", "travel"]]] })
+    );
+    expect(map(populated, "category.name")).toEqual(["News", "Sport"]);
+    expect(map(populated[0].tags, "name")).toEqual(["Sport", "Travel"]);
+  });
+});
+
+describe("wallet", () => {
+  const createWalletStore = () => {
+    const client = createFakeClient({
+      identities: { identity: { balance: 1000 } },
+      wallet: {
+        balance: 5000,
+        transactions: [
+          {
+            txId: "received",
+            type: "received",
+            time: new Date(2021, 0, 1),
+            satoshisBalanceImpact: 5000,
+            confirmations: 6,
+          },
+        ],
+      },
+    });
+
+    return createStore({ mnemonic: "mnemonic" }, client);
+  };
+
+  it("normalises the transaction history", async () => {
+    const store = createWalletStore();
+
+    await store.dispatch("dash/accountInit");
+    await settle();
+
+    expect(store.getters["dash/transactions"]).toEqual([
+      {
+        txid: "received",
+        direction: "incoming",
+        type: "received",
+        amount: 5000,
+        fee: 0,
+        confirmations: 6,
+        instantLocked: false,
+        chainLocked: false,
+        timestamp: new Date(2021, 0, 1).getTime(),
+      },
+    ]);
+  });
+
+  it("sends payments and adds them to the history", async () => {
+    const store = createWalletStore();
+
+    const txid = await store.dispatch("dash/send", {
+      address: "yRecipient",
+      amount: 2000,
+    });
+    await settle();
+
+    expect(store.getters["dash/confirmedBalance"]).toBe(3000);
+    expect(store.getters["dash/transactions"][0]).toMatchObject({
+      txid,
+      direction: "outgoing",
+      amount: 2000,
+    });
+  });
+
+  it("needs a wallet to send payments", async () => {
+    const store = createStore({}, createClient());
+
+    await expect(
+      store.dispatch("dash/send", { address: "yRecipient", amount: 1 })
+    ).rejects.toMatchObject({ code: "MISSING_ACCOUNT" });
+  });
+});
+
+describe("query", () => {
+  it("runs queries against the documents in state", async () => {
+    const client = createClient([
+      ...notes(4, { $ownerId: "identity" }),
+      { $id: "other", $ownerId: "someone", index: 9 },
+    ]);
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+
+    const query = {
+      where: [
+        ["$ownerId", "==", "identity"],
+        ["index", ">", 0],
+      ],
+      orderBy: [["index", "desc"]],
+      limit: 2,
+    };
+
+    expect(map(store.getters["dash/note/query"](query), "$id")).toEqual([
+      "note3",
+      "note2",
+    ]);
+    expect(
+      map(await store.dispatch("dash/note/retrieve", query), (document) =>
+        document.getId()
+      )
+    ).toEqual(["note3", "note2"]);
+    expect(
+      map(
+        store.getters["dash/note/query"]({
+          where: [["$ownerId", "in", ["someone", "nobody"]]],
+        }),
+        "$id"
+      )
+    ).toEqual(["other"]);
+  });
+});
+
+describe("transaction", () => {
+  it("writes to several document types at once", async () => {
+    const client = createFakeClient({
+      identities: { identity: { balance: 1000 } },
+      documents: {
+        "Contract.post": [{ $id: "post", title: "Hello" }],
+        "Contract.comment": [{ $id: "comment", text: "Old" }],
+      },
+    });
+    const store = createStore({ documents: ["post", "comment"] }, client);
+
+    jest.spyOn(client.platform.documents, "broadcast");
+
+    await ready(store);
+    await store.dispatch("dash/transaction", {
+      post: [{ $id: "post", title: "Changed" }],
+      comment: [{ text: "New" }, { $id: "comment" }],
+    });
+
+    expect(client.platform.documents.broadcast).toHaveBeenCalledTimes(1);
+    expect(store.getters["dash/post/one"]("post").title).toBe("Changed");
+    expect(map(store.getters["dash/comment/all"], "text")).toEqual(["New"]);
+  });
+
+  it("reports the item that failed and leaves state alone", async () => {
+    const client = createClient(notes(1));
+    const store = createStore(
+      { documents: [{ name: "note", autoLoad: false }] },
+      client
+    );
+
+    await ready(store);
+
+    await expect(
+      store.dispatch("dash/transaction", {
+        note: [{ $id: "note0" }, { $id: "missing" }],
+      })
+    ).rejects.toMatchObject({
+      action: "transaction",
+      code: "NOT_FOUND",
+      failed: { document: "note", index: 1 },
+    });
+    expect(client.platform.documents.broadcast).not.toHaveBeenCalled();
+    expect(store.getters["dash/note/all"]).toEqual({});
+  });
+
+  it("only writes to document types", async () => {
+    const client = createClient();
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+
+    await expect(
+      store.dispatch("dash/transaction", { names: [{ text: "Hello" }] })
+    ).rejects.toThrow('Unknown document type "names"');
+    expect(client.platform.documents.broadcast).not.toHaveBeenCalled();
+  });
+
+  it("rejects transactions that don't fit in one state transition", async () => {
+    const client = createFakeClient({
+      identities: { identity: { balance: 1000 } },
+    });
+    const store = createStore({ documents: ["note"] }, client);
+
+    jest.spyOn(client.platform.documents, "broadcast");
+
+    await ready(store);
+
+    await expect(
+      store.dispatch("dash/transaction", {
+        note: map(range(15), (index) => ({ index })),
+      })
+    ).rejects.toMatchObject({ code: "TRANSACTION_TOO_LARGE" });
+
+    expect(client.platform.documents.broadcast).not.toHaveBeenCalled();
+    expect(store.getters["dash/note/all"]).toEqual({});
+  });
+
+  it("runs the broadcast hooks, which can cancel it", async () => {
+    const hooks = {
+      beforeBroadcast: jest.fn(() => false),
+      afterBroadcast: jest.fn(),
+    };
+    const client = createFakeClient({
+      identities: { identity: { balance: 1000 } },
+    });
+    const store = createStore(
+      { documents: ["post", "comment"], hooks },
+      client
+    );
+    const payload = { post: [{ title: "Hello" }], comment: [{ text: "New" }] };
+
+    jest.spyOn(client.platform.documents, "broadcast");
+
+    await ready(store);
+
+    await expect(
+      store.dispatch("dash/transaction", payload)
+    ).rejects.toMatchObject({ code: "CANCELLED" });
+    expect(client.platform.documents.broadcast).not.toHaveBeenCalled();
+    expect(store.getters["dash/post/all"]).toEqual({});
+
+    hooks.beforeBroadcast.mockReturnValue(undefined);
+    await store.dispatch("dash/transaction", payload);
+    await settle();
+
+    expect(hooks.beforeBroadcast).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        create: [expect.anything(), expect.anything()],
+      }),
+      { documents: ["post", "comment"] }
+    );
+    expect(hooks.afterBroadcast).toHaveBeenCalledTimes(1);
+    expect(hooks.afterBroadcast).toHaveBeenCalledWith(
+      expect.objectContaining({
+        create: [expect.anything(), expect.anything()],
+      }),
+      { documents: ["post", "comment"] }
+    );
+    expect(map(store.getters["dash/post/all"], "title")).toEqual(["Hello"]);
+  });
+});
+
+describe("conflicts", () => {
+  // Replace the note on another device, so that it's on revision 2 on Platform
+  const createConflictingStore = async (options = {}) => {
+    const client = createClient([
+      { $id: "note", title: "Title", body: "Body" },
+    ]);
+    const store = createStore({ documents: ["note"], ...options }, client);
+
+    await ready(store);
+
+    const [remote] = await client.platform.documents.get("Contract.note", {});
+
+    remote.setData({ title: "Title", body: "Changed elsewhere" });
+    await client.platform.documents.broadcast(
+      { replace: [remote] },
+      await client.platform.identities.get("identity")
+    );
+
+    return store;
+  };
+
+  it("rejects with both versions when the document has moved on", async () => {
+    const store = await createConflictingStore();
+
+    const error = await store
+      .dispatch("dash/note/replace", {
+        $id: "note",
+        $revision: 1,
+        title: "Edited",
+        body: "Body",
+      })
+      .catch((e) => e);
+
+    expect(error.code).toBe("CONFLICT");
+    expect(error.conflict.local.title).toBe("Edited");
+    expect(error.conflict.remote.body).toBe("Changed elsewhere");
+    expect(store.getters["dash/note/pending"]).toEqual([]);
+  });
+
+  it("merges the fields that were edited into the remote version", async () => {
+    const store = await createConflictingStore({ conflicts: "merge" });
+
+    await store.dispatch("dash/note/replace", {
+      $id: "note",
+      $revision: 1,
+      title: "Edited",
+      body: "Body",
+    });
+
+    expect(store.getters["dash/note/one"]("note")).toMatchObject({
+      title: "Edited",
+      body: "Changed elsewhere",
+      $revision: 3,
+    });
+  });
+
+  it("settles conflicts with a custom resolver", async () => {
+    const resolver = jest.fn(({ local, remote }) => ({
+      ...local,
+      body: `${remote.body} and here`,
+    }));
+    const store = await createConflictingStore({
+      documents: [{ name: "note", conflicts: resolver }],
+    });
+
+    await store.dispatch("dash/note/replace", {
+      $id: "note",
+      $revision: 1,
+      title: "Edited",
+    });
+
+    expect(resolver).toHaveBeenCalledWith({
+      local: { title: "Edited" },
+      remote: expect.objectContaining({ $revision: 2 }),
+      base: expect.objectContaining({ $revision: 1 }),
+    });
+    expect(store.getters["dash/note/one"]("note").body).toBe(
+      "Changed elsewhere and here"
+    );
+  });
+});
+
+describe("client lifecycle", () => {
+  it("keeps one client until the connection details change", async () => {
+    const clients = [];
+    const clientFactory = jest.fn(() => {
+      clients.push(createClient());
+      return clients[clients.length - 1];
+    });
+    const store = createStore({ clientFactory });
+
+    await ready(store);
+
+    store.commit("dash/updateOptions", { identityId: "other" });
+    await settle();
+
+    expect(clientFactory).toHaveBeenCalledTimes(1);
+    expect(store.getters["dash/connectionState"]).toBe("connected");
+
+    store.commit("dash/updateOptions", { network: "mainnet" });
+    await settle();
+
+    expect(store.getters["dash/client"]).toBe(clients[1]);
+    expect(clientFactory).toHaveBeenCalledTimes(2);
+    expect(clients[0].disconnected).toBe(true);
+    expect(clients[1].disconnected).toBe(false);
+  });
+
+  it("removes wallet listeners when the account is dropped", async () => {
+    const client = createClient();
+    const store = createStore({ mnemonic: "mnemonic" }, client);
+
+    await store.dispatch("dash/accountInit");
+    await store.dispatch("dash/accountInit");
+
+    expect(client.listenerCount("TRANSACTION")).toBe(1);
+
+    store.commit("dash/updateOptions", { identityId: "other" });
+
+    expect(client.listenerCount("TRANSACTION")).toBe(0);
+  });
+
+  it("only reports being connected once Platform has answered", async () => {
+    const client = createClient();
+
+    client.offline = true;
+
+    const store = createStore({}, client);
+
+    await settle();
+
+    expect(store.getters["dash/connectionState"]).toBe("error");
+    expect(store.getters["dash/lastError"].action).toBe("connect");
+
+    client.offline = false;
+    await store.dispatch("dash/connect");
+
+    expect(store.getters["dash/connectionState"]).toBe("connected");
+  });
+
+  it("connects again when the connection details change", async () => {
+    const client = createClient(notes(1));
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+
+    client.offline = true;
+    store.commit("dash/updateOptions", { network: "mainnet" });
+    await settle();
+
+    expect(store.getters["dash/connectionState"]).toBe("error");
+    expect(store.getters["dash/lastError"].action).toBe("connect");
+
+    client.offline = false;
+    store.commit("dash/updateOptions", { network: "testnet" });
+    await settle();
+
+    expect(store.getters["dash/connectionState"]).toBe("connected");
+  });
+
+  it("disconnects and connects again", async () => {
+    const client = createClient(notes(1));
+    const store = createStore({ documents: ["note"] }, client);
+
+    await ready(store);
+    await store.dispatch("dash/note/watch");
+    await store.dispatch("dash/disconnect");
+
+    expect(client.disconnected).toBe(true);
+    expect(store.getters["dash/connectionState"]).toBe("disconnected");
+    expect(store.getters["dash/client"]).toBeNull();
+    expect(store.getters["dash/note/watching"]).toBe(false);
+    expect(keys(store.getters["dash/note/all"])).toEqual(["note0"]);
+
+    await store.dispatch("dash/connect");
+
+    expect(store.getters["dash/connectionState"]).toBe("connected");
+    expect(store.getters["dash/client"]).toBe(client);
+  });
+});
+
+describe("hooks", () => {
+  it("lets beforeCompose hooks add fields to created documents", async () => {
+    const client = createClient();
+    const store = createStore(
+      {
+        documents: ["note"],
+        hooks: {
+          beforeCompose: [
+            (content) => ({ ...content, createdAt: 1 }),
+            (content, { document }) => ({ ...content, kind: document }),
+          ],
+        },
+      },
+      client
+    );
+
+    await ready(store);
+    await store.dispatch("dash/note/create", { text: "Hello" });
+
+    expect(map(store.getters["dash/note/all"])).toEqual([
+      expect.objectContaining({ text: "Hello", createdAt: 1, kind: "note" }),
+    ]);
+  });
+
+  it("cancels writes when a before hook returns false", async () => {
+    const client = createClient();
+    const store = createStore(
+      { documents: ["note"], hooks: { beforeBroadcast: () => false } },
+      client
+    );
+
+    await ready(store);
+
+    await expect(
+      store.dispatch("dash/note/create", { text: "Hello" })
+    ).rejects.toMatchObject({ code: "CANCELLED" });
+    expect(client.platform.documents.broadcast).not.toHaveBeenCalled();
+    expect(store.getters["dash/note/pending"]).toEqual([]);
+  });
+
+  it("passes each failure to onError once, named after the action that was dispatched", async () => {
+    const onError = jest.fn();
+    const client = createClient(notes(1));
+    const store = createStore({ documents: ["note"], onError }, client);
+
+    await ready(store);
+
+    await expect(
+      store.dispatch("dash/note/replace", { $id: "missing", text: "Hello" })
+    ).rejects.toMatchObject({ action: "replace", code: "NOT_FOUND" });
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({ action: "replace", code: "NOT_FOUND" })
+    );
+    expect(onError.mock.calls[0][0]).toBeInstanceOf(DashDppError);
+
+    client.offline = true;
+    await store.dispatch("dash/note/all").catch(noop);
+
+    expect(onError).toHaveBeenCalledTimes(2);
+    expect(onError).toHaveBeenLastCalledWith(
+      expect.objectContaining({ action: "all" })
+    );
+  });
+
+  it("tells hooks about broadcasts, documents and syncing", async () => {
+    const hooks = {
+      afterBroadcast: jest.fn(),
+      onDocumentsChanged: jest.fn(),
+      onAccountSynced: jest.fn(),
+      onIdentitySynced: jest.fn(),
+    };
+    const client = createClient(notes(1));
+    const store = createStore(
+      { documents: ["note"], mnemonic: "mnemonic", hooks },
+      client
+    );
+
+    await ready(store);
+    await store.dispatch("dash/accountInit");
+    await store.dispatch("dash/note/create", { text: "Hello" });
+    await settle();
+
+    expect(hooks.afterBroadcast).toHaveBeenCalledWith(
+      expect.objectContaining({ create: [expect.anything()] }),
+      { document: "note" }
+    );
+    expect(hooks.onDocumentsChanged).toHaveBeenLastCalledWith(
+      store.getters["dash/note/all"],
+      { document: "note" }
+    );
+    expect(hooks.onAccountSynced).toHaveBeenCalled();
+    expect(hooks.onIdentitySynced).toHaveBeenCalledWith(
+      store.getters["dash/identity"],
+      undefined
+    );
+  });
+});
+
+describe("storage", () => {
+  it("caches documents in the storage from the options", async () => {
+    const storage = createMemoryStorage();
+    const client = createClient(notes(2));
+
+    await ready(
+      createStore({ documents: ["note"], cache: true, storage }, client)
+    );
+
+    const store = createStore(
+      { documents: [{ name: "note", autoLoad: false }], cache: true, storage },
+      client
+    );
+
+    await ready(store);
+
+    expect(keys(store.getters["dash/note/all"])).toEqual(["note0", "note1"]);
+    expect(store.getters["dash/note/stale"]).toBe(true);
+    expect(client.platform.documents.get).toHaveBeenCalledTimes(1);
+  });
+
+  it("drops cached documents when the network or contract changes", async () => {
+    const storage = createMemoryStorage();
+    const client = createClient(notes(2));
+    const store = createStore(
+      { documents: ["note"], cache: true, storage },
+      client
+    );
+
+    await ready(store);
+
+    expect(await storage.keys()).toContain(
+      "dash/livenet/contract/note/documents"
+    );
+
+    client.offline = true;
+    store.commit("dash/updateOptions", { contractId: "other" });
+    await settle();
+
+    expect(await storage.keys()).not.toContain(
+      "dash/livenet/contract/note/documents"
+    );
+    expect(store.getters["dash/note/all"]).toEqual({});
+    expect(client.platform.documents.get).toHaveBeenCalledTimes(2);
+
+    client.offline = false;
+    store.commit("dash/updateOptions", { network: "testnet" });
+    await settle();
+
+    expect(keys(store.getters["dash/note/all"])).toEqual(["note0", "note1"]);
+    expect(await storage.keys()).toContain("dash/testnet/other/note/documents");
+    expect(client.platform.documents.get).toHaveBeenCalledTimes(3);
+  });
+
+  it("only fetches the document types of a published contract once", async () => {
+    const client = createClient(notes(1));
+    const store = createStore({ contractId: null, documents: [] }, client);
+
+    await store.dispatch("dash/publishContract", {
+      note: { type: "object", properties: { index: { type: "number" } } },
+    });
+    await settle();
+
+    expect(keys(store.getters["dash/note/all"])).toEqual(["note0"]);
+    expect(client.platform.documents.get).toHaveBeenCalledTimes(1);
+  });
+
+  it("keeps items in files with the filesystem storage", async () => {
+    const directory = await mkdtemp(join(tmpdir(), "vuex-dash-dpp-"));
+    const storage = createFileStorage(join(directory, "storage"));
+
+    try {
+      await storage.setItem("dash/testnet/note", { $id: "note" });
+
+      expect(await storage.getItem("dash/testnet/note")).toEqual({
+        $id: "note",
+      });
+      expect(await storage.keys()).toEqual(["dash/testnet/note"]);
+
+      await storage.removeItem("dash/testnet/note");
+
+      expect(await storage.getItem("dash/testnet/note")).toBeNull();
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+});